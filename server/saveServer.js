@@ -0,0 +1,189 @@
+/**
+ * Reference Save Server - Tiny REST backend for cloud sync
+ *
+ * Stores one save per sync ID as a JSON file. No dependencies, meant for
+ * running on your own machine or LAN (there is no authentication - anyone
+ * who knows a sync ID can read and replace that save).
+ *
+ *   GET  /saves/:syncId  -> 200 { save, lastSaveTime } | 404
+ *   PUT  /saves/:syncId  <- { save, baseLastSaveTime, force }
+ *                        -> 200 { lastSaveTime }
+ *                        -> 409 { save, lastSaveTime } when the stored save changed
+ *                           since baseLastSaveTime (and force isn't set)
+ *
+ * Usage: npm run save-server
+ *   PORT=8787 (default), SAVE_DIR=server/data (default)
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PORT = Number(process.env.PORT) || 8787;
+const SAVE_DIR = process.env.SAVE_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const SYNC_ID_PATTERN = /^[A-Za-z0-9_-]{3,64}$/;
+
+/**
+ * Send a JSON response (with CORS headers so the game can call us from any origin)
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {object} body - JSON body (omitted for 204)
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Get the file a sync ID's save lives in
+ *
+ * @param {string} syncId - Validated sync ID
+ * @returns {string} File path
+ */
+function getSavePath(syncId) {
+  return path.join(SAVE_DIR, `${syncId}.json`);
+}
+
+/**
+ * Load a stored save
+ *
+ * @param {string} syncId - Validated sync ID
+ * @returns {{save: object, lastSaveTime: number}|null} Stored save, or null
+ */
+function readSave(syncId) {
+  try {
+    return JSON.parse(fs.readFileSync(getSavePath(syncId), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store a save (written to a temp file first so a crash can't leave half a save)
+ *
+ * @param {string} syncId - Validated sync ID
+ * @param {{save: object, lastSaveTime: number}} record - Save to store
+ */
+function writeSave(syncId, record) {
+  fs.mkdirSync(SAVE_DIR, { recursive: true });
+  const target = getSavePath(syncId);
+  const temp = `${target}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(record));
+  fs.renameSync(temp, target);
+}
+
+/**
+ * Handle one request
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204);
+    return;
+  }
+
+  const match = /^\/saves\/([^/]+)$/.exec(new URL(req.url, 'http://localhost').pathname);
+  let syncId = null;
+  try {
+    syncId = match ? decodeURIComponent(match[1]) : null;
+  } catch (error) {
+    // Malformed percent-encoding is treated like any other bad sync ID
+  }
+  if (!syncId || !SYNC_ID_PATTERN.test(syncId)) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const record = readSave(syncId);
+    if (record) {
+      sendJson(res, 200, record);
+    } else {
+      sendJson(res, 404, { error: 'No save for this sync ID' });
+    }
+    return;
+  }
+
+  if (req.method === 'PUT') {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    const isObject = body && typeof body === 'object' && !Array.isArray(body);
+    if (!isObject || !body.save || typeof body.save.lastSaveTime !== 'number') {
+      sendJson(res, 400, { error: 'Body needs a save with a lastSaveTime' });
+      return;
+    }
+
+    // Refuse to overwrite a save that changed since the client last synced
+    const existing = readSave(syncId);
+    const baseTime = body.baseLastSaveTime === undefined ? null : body.baseLastSaveTime;
+    if (existing && !body.force && existing.lastSaveTime !== baseTime) {
+      sendJson(res, 409, existing);
+      return;
+    }
+
+    const record = { save: body.save, lastSaveTime: body.save.lastSaveTime };
+    writeSave(syncId, record);
+    sendJson(res, 200, { lastSaveTime: record.lastSaveTime });
+    return;
+  }
+
+  sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('Request failed:', error);
+    sendJson(res, 500, { error: 'Internal error' });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Save server listening on http://localhost:${PORT} (saves in ${SAVE_DIR})`);
+});
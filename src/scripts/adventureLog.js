@@ -2,7 +2,7 @@
  * AdventureLog - Text-based event feed for tracking game events
  * Displays combat, loot, progression, and story events in right sidebar
  */
-class AdventureLog {
+export class AdventureLog {
   constructor(maxEntries = 100) {
     this.entries = [];
     this.maxEntries = maxEntries;
@@ -126,12 +126,39 @@ class AdventureLog {
     this.add('loot', `💰 Obtained ${quantity}x ${itemName}`);
   }
 
+  /**
+   * Log an item dropped by an enemy
+   * @param {string} enemyType - Type of enemy that dropped it
+   * @param {string} itemName - Name of the item
+   * @param {string} color - Rarity color
+   */
+  logItemDrop(enemyType, itemName, color) {
+    this.add('loot', `🎁 ${enemyType} dropped <span style="color: ${color}">${itemName}</span>!`);
+  }
+
+  /**
+   * Log a summoned hero
+   * @param {string} heroName - The summoned hero
+   * @param {string} rarityName - Rarity label (e.g. 'Epic')
+   * @param {string} color - Rarity color
+   * @param {number} shards - Shards granted (duplicates only)
+   */
+  logSummon(heroName, rarityName, color, shards = 0) {
+    const hero = `<span style="color: ${color}">${rarityName} ${heroName}</span>`;
+    const message = shards > 0
+      ? `✨ Summoned ${hero} again: +${shards} ${heroName} shards`
+      : `✨ Summoned ${hero}! A new hero joins the roster.`;
+    this.add('loot', message);
+  }
+
   /**
    * Log stage progression
    * @param {number} stageNumber - The new stage number
+   * @param {string} areaName - Name of the stage's biome (optional)
    */
-  logStage(stageNumber) {
-    this.add('stage', `🎯 Reached Stage ${stageNumber}!`);
+  logStage(stageNumber, areaName = null) {
+    const area = areaName ? ` - ${areaName}` : '';
+    this.add('stage', `🎯 Reached Stage ${stageNumber}${area}!`);
   }
 
   /**
@@ -153,6 +180,28 @@ class AdventureLog {
     this.add('skill', `✨ ${casterName} cast ${skillName}${damageText}!`);
   }
 
+  /**
+   * Log a status effect landing on a hero or enemy
+   * @param {string} targetName - Name of the affected character
+   * @param {string} effectName - Name of the effect (Burn, Stun, ...)
+   * @param {string} icon - Effect icon
+   * @param {number} stacks - Current stack count
+   */
+  logStatusEffect(targetName, effectName, icon, stacks = 1) {
+    const stackText = stacks > 1 ? ` (x${stacks})` : '';
+    this.add('combat', `${icon} ${targetName} is affected by ${effectName}${stackText}`);
+  }
+
+  /**
+   * Log a status effect wearing off
+   * @param {string} targetName - Name of the affected character
+   * @param {string} effectName - Name of the effect
+   * @param {string} icon - Effect icon
+   */
+  logStatusExpired(targetName, effectName, icon) {
+    this.add('combat', `${icon} ${effectName} wore off ${targetName}`);
+  }
+
   /**
    * Log hero respawn
    * @param {string} heroName - Name of hero
@@ -0,0 +1,257 @@
+/**
+ * AFK Chest - Passive income waits in a chest until it's claimed
+ *
+ * The chest fills in real time, online and offline:
+ * - online: idle gold and gems (ResourceManager rates) flow into the chest
+ * - offline: the same idle income, plus the kills, kill gold and item
+ *   drops of a simulated battle (simulateOfflineProgress). This covers a
+ *   closed tab on load and the part of a hidden-tab gap that Game.catchUp
+ *   doesn't simulate tick by tick.
+ *
+ * It stops filling once it holds its capacity's worth of time. Gems buy
+ * upgrades for a longer capacity and a bigger yield; prestige adds hours
+ * on top (bonusHours).
+ */
+
+import { Equipment } from './equipment.js';
+import { simulateOfflineProgress } from './offlineProgress.js';
+
+/**
+ * Hours of income the chest holds before any capacity upgrades
+ */
+export const AFK_CHEST_BASE_HOURS = 2;
+
+/**
+ * Items the chest keeps - weaker drops beyond this are salvaged into its gold
+ */
+export const AFK_CHEST_MAX_ITEMS = 20;
+
+/**
+ * Gem-purchasable chest upgrades
+ * cost: baseCost * costGrowth^level (level = current upgrade level)
+ */
+export const AFK_CHEST_UPGRADES = {
+  capacity: {
+    name: 'Bigger Chest',
+    description: '+2h fill time',
+    maxLevel: 5,
+    baseCost: 50,
+    costGrowth: 2
+  },
+  yield: {
+    name: 'Richer Loot',
+    description: '+25% gold and gems',
+    maxLevel: 10,
+    baseCost: 30,
+    costGrowth: 1.6
+  }
+};
+
+export class AfkChest {
+  constructor() {
+    this.storedMs = 0; // Time worth of income in the chest
+    this.gold = 0;
+    this.gems = 0;
+    this.kills = 0; // Enemies defeated offline since the last claim
+    this.items = []; // Equipment found offline
+    this.upgrades = { capacity: 0, yield: 0 }; // Upgrade levels
+    this.bonusHours = 0; // Extra capacity from prestige (set by the game, not saved)
+  }
+
+  /**
+   * Get how much time the chest holds when full
+   * @returns {number} Capacity in milliseconds
+   */
+  getCapacityMs() {
+    const hours = AFK_CHEST_BASE_HOURS + this.upgrades.capacity * 2 + this.bonusHours;
+    return hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get the multiplier applied to gold and gems
+   * @returns {number} Yield multiplier (1 = no upgrades)
+   */
+  getYieldMultiplier() {
+    return 1 + this.upgrades.yield * 0.25;
+  }
+
+  /**
+   * Get how full the chest is
+   * @returns {number} Fill level (0-1)
+   */
+  getFillPercent() {
+    return Math.min(1, this.storedMs / this.getCapacityMs());
+  }
+
+  /**
+   * Check if the chest has stopped filling
+   * @returns {boolean} True if full
+   */
+  isFull() {
+    return this.storedMs >= this.getCapacityMs();
+  }
+
+  /**
+   * Check if there is anything to claim
+   * @returns {boolean} True if the chest holds rewards
+   */
+  hasRewards() {
+    return Math.floor(this.gold) > 0 || Math.floor(this.gems) > 0 || this.items.length > 0;
+  }
+
+  /**
+   * Fill the chest with idle income
+   *
+   * @param {number} deltaMs - Time passed in milliseconds
+   * @param {number} goldPerSecond - Idle gold rate
+   * @param {number} gemsPerSecond - Idle gem rate
+   * @returns {number} Milliseconds that fit in the chest (0 once it's full)
+   */
+  fill(deltaMs, goldPerSecond, gemsPerSecond) {
+    const filledMs = Math.max(0, Math.min(deltaMs, this.getCapacityMs() - this.storedMs));
+    const seconds = filledMs / 1000;
+
+    this.storedMs += filledMs;
+    this.gold += goldPerSecond * seconds * this.getYieldMultiplier();
+    this.gems += gemsPerSecond * seconds * this.getYieldMultiplier();
+    return filledMs;
+  }
+
+  /**
+   * Fill the chest for time spent offline
+   * Adds idle income plus what the party would have fought for
+   *
+   * @param {number} timeAwayMs - Time away in milliseconds
+   * @param {ResourceManager} resourceManager - For the idle rates and gold multiplier
+   * @param {Array<Hero>} heroes - Active party
+   * @param {number} stageLevel - Current stage
+   * @param {SeededRandom} rng - Source of the simulated battle and loot rolls
+   * @returns {{filledMs: number, kills: number, gold: number, items: number}}
+   *   What was added (gold includes idle gold)
+   */
+  fillOffline(timeAwayMs, resourceManager, heroes, stageLevel, rng) {
+    const goldBefore = this.gold;
+    const filledMs = this.fill(
+      timeAwayMs,
+      resourceManager.goldPerSecond,
+      resourceManager.gemsPerSecond
+    );
+
+    // A full chest takes nothing more - skip the simulated battle
+    if (filledMs === 0) {
+      return { filledMs: 0, kills: 0, gold: 0, items: 0 };
+    }
+
+    const progress = simulateOfflineProgress(heroes, stageLevel, filledMs, rng);
+
+    this.kills += progress.kills;
+    this.gold += progress.gold * this.getYieldMultiplier() * resourceManager.goldMultiplier;
+    this.addItems(progress.items);
+
+    return {
+      filledMs: filledMs,
+      kills: progress.kills,
+      gold: Math.floor(this.gold - goldBefore),
+      items: progress.items.length
+    };
+  }
+
+  /**
+   * Put items in the chest, keeping the best AFK_CHEST_MAX_ITEMS
+   * The rest are salvaged into the chest's gold
+   *
+   * @param {Array<Equipment>} items - Dropped items
+   */
+  addItems(items) {
+    const all = this.items
+      .concat(items)
+      .sort((a, b) => b.getSalvageValue() - a.getSalvageValue());
+
+    this.items = all.slice(0, AFK_CHEST_MAX_ITEMS);
+    all.slice(AFK_CHEST_MAX_ITEMS).forEach(item => {
+      this.gold += item.getSalvageValue();
+    });
+  }
+
+  /**
+   * Empty the chest
+   * @returns {{gold: number, gems: number, kills: number, items: Array<Equipment>}} Its contents
+   */
+  claim() {
+    const contents = {
+      gold: Math.floor(this.gold),
+      gems: Math.floor(this.gems),
+      kills: this.kills,
+      items: this.items
+    };
+
+    this.storedMs = 0;
+    this.gold = 0;
+    this.gems = 0;
+    this.kills = 0;
+    this.items = [];
+    return contents;
+  }
+
+  /**
+   * Get the gem cost of an upgrade's next level
+   * @param {string} type - Key in AFK_CHEST_UPGRADES
+   * @returns {number|null} Cost, or null at max level
+   */
+  getUpgradeCost(type) {
+    const upgrade = AFK_CHEST_UPGRADES[type];
+    const level = this.upgrades[type];
+    if (level >= upgrade.maxLevel) {
+      return null;
+    }
+    return Math.floor(upgrade.baseCost * Math.pow(upgrade.costGrowth, level));
+  }
+
+  /**
+   * Buy the next level of an upgrade with gems
+   *
+   * @param {string} type - Key in AFK_CHEST_UPGRADES
+   * @param {ResourceManager} resourceManager - Pays the gems
+   * @returns {{ok: boolean, error: string|null}} Whether the upgrade was bought
+   */
+  upgrade(type, resourceManager) {
+    const cost = this.getUpgradeCost(type);
+    if (cost === null) {
+      return { ok: false, error: 'Already at max level' };
+    }
+    if (!resourceManager.spendGems(cost)) {
+      return { ok: false, error: 'Not enough gems' };
+    }
+
+    this.upgrades[type]++;
+    return { ok: true, error: null };
+  }
+
+  /**
+   * Serialize the chest for saving
+   * @returns {object} Chest data
+   */
+  toJSON() {
+    return {
+      storedMs: this.storedMs,
+      gold: this.gold,
+      gems: this.gems,
+      kills: this.kills,
+      items: this.items.map(item => item.toJSON()),
+      upgrades: Object.assign({}, this.upgrades)
+    };
+  }
+
+  /**
+   * Load the chest from saved data
+   * @param {object} data - Saved chest data
+   */
+  fromJSON(data) {
+    this.storedMs = data.storedMs || 0;
+    this.gold = data.gold || 0;
+    this.gems = data.gems || 0;
+    this.kills = data.kills || 0;
+    this.items = (data.items || []).map(itemData => Equipment.fromJSON(itemData));
+    this.upgrades = Object.assign({ capacity: 0, yield: 0 }, data.upgrades);
+  }
+}
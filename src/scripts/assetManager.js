@@ -2,7 +2,7 @@
  * AssetManager - Handles loading and caching of game assets (sprites, backgrounds, UI images)
  * Provides fallback support when assets are missing
  */
-class AssetManager {
+export class AssetManager {
   constructor() {
     this.assets = {};
     this.loadedCount = 0;
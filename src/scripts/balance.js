@@ -0,0 +1,41 @@
+/**
+ * Balance - The numbers that set the game's pace
+ *
+ * Enemy, hero and economy scaling live here instead of next to the code
+ * that uses them, so they can be tuned in one place. The balance report
+ * (npm run balance) reads them too, and can try changed values without
+ * editing the game (--set enemy.healthGrowth=1.18).
+ */
+
+export const BALANCE = {
+  // Regular enemies: stat at stage 1 * growth^(stage - 1)
+  enemy: {
+    baseHealth: 200,
+    baseAttack: 25,
+    baseDefense: 10,
+    healthGrowth: 1.20,
+    attackGrowth: 1.15,
+    defenseGrowth: 1.10
+  },
+
+  // Heroes: base stat * (1 + (level - 1) * perLevel)
+  // Upgrade cost: upgradeCostBase * level^upgradeCostExponent
+  hero: {
+    healthPerLevel: 0.15,
+    attackPerLevel: 0.10,
+    defensePerLevel: 0.08,
+    upgradeCostBase: 100,
+    upgradeCostExponent: 1.5
+  },
+
+  // Gold and gems
+  economy: {
+    idleGoldPerStage: 0.5, // Idle gold per second = stage * this
+    idleGemsPerStage: 0.01, // Idle gems per second = stage * this
+    killGoldBase: 1, // Gold per kill = base + stage * perStage
+    killGoldPerStage: 1.5,
+    stageGoldBase: 50, // Boss reward = base * stage * growth^stage
+    stageGoldGrowth: 1.1,
+    stageGemsPerStage: 2 // Boss reward = stage * this
+  }
+};
@@ -1,14 +1,66 @@
 /**
  * Battle System - Horde Mode
  *
- * Manages auto-battle with a single hero vs continuous waves of enemies
- * Hero fights 3-5 enemies at once, defeated enemies respawn continuously
+ * Manages auto-battle with a party of up to 5 heroes vs continuous waves of enemies
+ * The party fights 3-5 enemies at once, defeated enemies respawn continuously
+ * If the whole party falls, it respawns and keeps fighting
+ *
+ * BOSS mode: the party fights a single stage boss against a timer.
+ * There is no respawning - the fight ends in victory or defeat.
+ *
+ * Roles:
+ * - Tank: draws enemy aggro (much more likely to be targeted)
+ * - Support: heals the most injured ally instead of attacking when someone is hurt
+ * - Damage: just hits hard
+ *
+ * Enemy behaviors come from their archetype's abilities (src/data/enemies.json):
+ * shamans heal allies, archers hit harder from the back row, necromancers
+ * summon minions into the horde and some types enrage when badly hurt.
+ *
+ * Timing: update() is a fixed simulation tick driven by Game (see SIMULATION_TICK_MS).
+ * deltaTime is game time - speed multipliers are applied by running more ticks,
+ * so a fight plays out the same way at any frame rate or speed.
+ *
+ * Randomness: every roll (hit, crit, variance, targeting, on-hit effects, loot,
+ * log sampling) comes from this.rng, so the same seed replays the same fight.
+ */
+
+import { BigNum } from './bigNumber.js';
+import { SeededRandom } from './random.js';
+import { rollItemDrop } from './equipment.js';
+import { createEnemy, createEnemyForStage, createBossForStage, getBiomeForStage } from './enemy.js';
+
+/**
+ * Length of one battle simulation tick in milliseconds
+ * Battles always advance in steps of exactly this much game time, so the
+ * outcome doesn't depend on frame rate or game speed
  */
+export const SIMULATION_TICK_MS = 50;
+
+/**
+ * Enemy targeting weights: a Tank in the front row is 6x as likely
+ * to be attacked as a back-row Damage hero
+ */
+export const AGGRO_WEIGHTS = {
+  frontRow: 2,
+  backRow: 1,
+  tank: 3
+};
+
+/**
+ * Support heroes heal allies below this health percent
+ */
+export const SUPPORT_HEAL_THRESHOLD = 0.7;
+
+export class BattleManager {
+  /**
+   * @param {SeededRandom} rng - Source of every roll (a randomly seeded one if not given)
+   */
+  constructor(rng = new SeededRandom()) {
+    this.rng = rng;
 
-class BattleManager {
-  constructor() {
-    // Battle state - Single hero vs enemy horde
-    this.hero = null; // Single hero reference
+    // Battle state - Hero party vs enemy horde
+    this.heroes = []; // Party members
     this.enemies = [];
     this.currentStage = 1;
     this.currentWave = 1;
@@ -16,45 +68,123 @@ class BattleManager {
 
     // Enemy spawn settings
     this.maxEnemies = 3; // Start with 3, scales to 5 based on stage
-    this.battleMode = 'HORDE'; // Always horde mode now
+    this.battleMode = 'IDLE'; // 'IDLE' (endless horde) or 'BOSS'
 
     // Battle status
     this.isBattleActive = false;
     this.isPaused = false;
+    this.battleResult = null; // 'victory' or 'defeat' once a BOSS fight ends
+
+    // Boss fight timer
+    this.bossTimeLimit = 45000; // milliseconds
+    this.bossTimeRemaining = 0;
 
     // Attack timing (attacks every 1 second)
     this.attackInterval = 1000; // milliseconds
     this.timeSinceLastAttack = 0;
 
+    // Running totals (Game diffs these to summarise fast-forwarded time)
+    this.totalEnemiesDefeated = 0;
+    this.totalPartyWipes = 0;
+    this.totalHeroDamage = BigNum.from(0); // Attacks, skills and damage over time on enemies
+
     // Floating damage numbers (for visual effects)
-    this.damageNumbers = []; // Array of {x, y, damage, opacity, isHeal}
+    this.damageNumbers = []; // Array of {x, y, damage, opacity, delay, isHeal}
 
     // References to other systems (set externally)
     this.adventureLog = null; // AdventureLog instance
-    this.skillManager = null; // SkillManager instance
+    this.heroSkills = new Map(); // Hero -> { skillManager, skillAI } (set with setHeroSkills)
+    this.onBattleEnd = null; // Callback: (result) => void, called when a BOSS fight ends
+    this.onItemDrop = null; // Callback: (item) => void, called when a defeated enemy drops gear
+    this.onEnemyDefeated = null; // Callback: (enemy) => void, called for each horde enemy defeated
+  }
+
+  /**
+   * Give a hero their skills and auto-cast AI for battle
+   *
+   * @param {Hero} hero - Party member
+   * @param {SkillManager} skillManager - The hero's skills
+   * @param {SkillAI} skillAI - Decides when the hero auto-casts
+   */
+  setHeroSkills(hero, skillManager, skillAI) {
+    this.heroSkills.set(hero, { skillManager: skillManager, skillAI: skillAI });
+  }
+
+  /**
+   * Forget all heroes' skills (before the party changes)
+   */
+  clearHeroSkills() {
+    this.heroSkills.clear();
+  }
+
+  /**
+   * Get a hero's skill manager
+   *
+   * @param {Hero} hero - Party member
+   * @returns {SkillManager|null} The hero's skills, or null if none were set
+   */
+  getSkillManager(hero) {
+    const skills = this.heroSkills.get(hero);
+    return skills ? skills.skillManager : null;
+  }
+
+  /**
+   * Get a hero's auto-cast AI
+   *
+   * @param {Hero} hero - Party member
+   * @returns {SkillAI|null} The hero's skill AI, or null if none was set
+   */
+  getSkillAI(hero) {
+    const skills = this.heroSkills.get(hero);
+    return skills ? skills.skillAI : null;
   }
 
   /**
-   * Start a new battle in horde mode
+   * Get party members that are still standing
    *
-   * @param {Hero} hero - The player's hero
+   * @returns {Array<Hero>} Living heroes
+   */
+  getAliveHeroes() {
+    return this.heroes.filter(hero => hero.isAlive());
+  }
+
+  /**
+   * Start a new battle
+   *
+   * @param {Array<Hero>} heroes - The player's party
    * @param {number} stageLevel - Stage to fight
+   * @param {string} mode - 'IDLE' for the endless horde, 'BOSS' for a stage boss fight
    */
-  startBattle(hero, stageLevel) {
+  startBattle(heroes, stageLevel, mode = 'IDLE') {
     // Store references
-    this.hero = hero;
+    this.heroes = heroes;
     this.currentStage = stageLevel;
     this.currentWave = 1;
     this.enemiesDefeatedThisStage = 0;
+    this.battleMode = mode;
+    this.battleResult = null;
+
+    // Heal party to full health and drop leftover effects
+    this.heroes.forEach(hero => {
+      hero.heal();
+      hero.statusEffects.clear();
+    });
 
-    // Scale max enemies with stage (3 to 5)
-    this.maxEnemies = Math.min(5, 3 + Math.floor(stageLevel / 5));
+    // Clear out enemies left over from the previous battle
+    this.enemies = [];
 
-    // Heal hero to full health
-    this.hero.heal();
+    if (mode === 'BOSS') {
+      // A single boss, no waves
+      this.maxEnemies = 1;
+      this.enemies.push(createBossForStage(stageLevel));
+      this.bossTimeRemaining = this.bossTimeLimit;
+    } else {
+      // Scale max enemies with stage (3 to 5)
+      this.maxEnemies = Math.min(5, 3 + Math.floor(stageLevel / 5));
 
-    // Spawn initial wave
-    this.spawnWave();
+      // Spawn initial wave
+      this.spawnWave();
+    }
 
     // Reset battle state
     this.isBattleActive = true;
@@ -64,11 +194,19 @@ class BattleManager {
 
     // Log to adventure log
     if (this.adventureLog) {
-      this.adventureLog.logStage(stageLevel);
-      this.adventureLog.logWave(this.currentWave);
+      if (mode === 'BOSS') {
+        this.adventureLog.logStory(`👑 Boss fight! The Stage ${stageLevel} ${this.enemies[0].type} Boss appears!`);
+      } else {
+        this.adventureLog.logStage(stageLevel, getBiomeForStage(stageLevel).name);
+        this.adventureLog.logWave(this.currentWave);
+      }
     }
 
-    console.log(`Horde Battle started! Stage ${stageLevel} - ${this.maxEnemies} enemies`);
+    if (mode === 'BOSS') {
+      console.log(`Boss Battle started! Stage ${stageLevel}`);
+    } else {
+      console.log(`Horde Battle started! Stage ${stageLevel} - ${this.maxEnemies} enemies`);
+    }
   }
 
   /**
@@ -76,7 +214,7 @@ class BattleManager {
    * Fills enemy array up to maxEnemies
    */
   spawnWave() {
-    while (this.enemies.length < this.maxEnemies) {
+    while (this.getHordeSize() < this.maxEnemies) {
       const enemy = this.createEnemyForStage(this.currentStage);
       this.enemies.push(enemy);
     }
@@ -87,36 +225,25 @@ class BattleManager {
     }
   }
 
+  /**
+   * Count the enemies that fill the horde's slots
+   * Summoned minions come on top of maxEnemies
+   *
+   * @returns {number} Enemies that aren't minions
+   */
+  getHordeSize() {
+    return this.enemies.filter(enemy => !enemy.summoner).length;
+  }
+
   /**
    * Create a single enemy for the current stage
+   * The type is rolled from the stage's biome, so waves mix enemy types
    *
    * @param {number} stageLevel - The stage level
    * @returns {Enemy} New enemy
    */
   createEnemyForStage(stageLevel) {
-    // Base stats
-    const baseHealth = 200;
-    const baseAttack = 25;
-    const baseDefense = 10;
-
-    // Scaling multipliers (same as original createEnemiesForStage)
-    const healthMultiplier = Math.pow(1.20, stageLevel - 1); // 20% per stage
-    const attackMultiplier = Math.pow(1.15, stageLevel - 1); // 15% per stage
-    const defenseMultiplier = Math.pow(1.10, stageLevel - 1); // 10% per stage
-
-    const health = Math.floor(baseHealth * healthMultiplier);
-    const attack = Math.floor(baseAttack * attackMultiplier);
-    const defense = Math.floor(baseDefense * defenseMultiplier);
-
-    // Determine enemy type based on stage
-    let enemyType = 'Goblin';
-    if (stageLevel <= 2) enemyType = 'Goblin';
-    else if (stageLevel <= 5) enemyType = 'Orc';
-    else if (stageLevel <= 8) enemyType = 'Skeleton';
-    else if (stageLevel <= 12) enemyType = 'Demon';
-    else enemyType = 'Dragon';
-
-    return new Enemy(this.enemies.length, enemyType, health, attack, defense);
+    return createEnemyForStage(stageLevel, this.rng, this.enemies.length);
   }
 
   /**
@@ -125,59 +252,491 @@ class BattleManager {
    * @param {number} deltaTime - Time since last update in milliseconds
    */
   update(deltaTime) {
-    if (!this.isBattleActive || this.isPaused || !this.hero) {
+    // Remember health before this tick so rendering can interpolate
+    this.snapshotHealth();
+
+    if (!this.isBattleActive || this.isPaused || this.heroes.length === 0) {
       return;
     }
 
-    // Update skill cooldowns
-    if (this.skillManager) {
-      this.skillManager.update(deltaTime);
-    }
+    // Update skill cooldowns (they run at game speed, like attacks)
+    this.heroSkills.forEach(skills => skills.skillManager.update(deltaTime));
 
     // Update attack timer
     this.timeSinceLastAttack += deltaTime;
 
-    // Get speed multiplier from global game object
-    const speed = (typeof window !== 'undefined' && window.game && window.game.speedMultiplier)
-      ? window.game.speedMultiplier
-      : 1;
-    const effectiveInterval = this.attackInterval / speed;
-
-    // Execute attacks when interval reached
-    if (this.timeSinceLastAttack >= effectiveInterval) {
+    // Execute a round for every full interval, carrying the remainder
+    // so no attacks are lost when a tick spans more than one interval
+    while (this.timeSinceLastAttack >= this.attackInterval && this.isBattleActive) {
       this.executeRound();
-      this.timeSinceLastAttack = 0;
+      this.timeSinceLastAttack -= this.attackInterval;
     }
 
-    // Update floating damage numbers
-    this.updateDamageNumbers(deltaTime);
+    // Boss fights end instead of respawning
+    if (this.battleMode === 'BOSS') {
+      this.bossTimeRemaining = Math.max(0, this.bossTimeRemaining - deltaTime);
+      this.checkBossResult();
+      return;
+    }
 
     // Check for defeated enemies and respawn
     this.checkEnemyRespawn();
 
-    // Check if hero died (respawn in horde mode)
-    if (!this.hero.isAlive()) {
-      this.respawnHero();
+    // Check if the whole party fell (respawn in horde mode)
+    if (this.getAliveHeroes().length === 0) {
+      this.respawnParty();
     }
   }
 
+  /**
+   * Store every combatant's health as previousHealth (start of a tick)
+   */
+  snapshotHealth() {
+    this.heroes.forEach(hero => {
+      hero.previousHealth = hero.health;
+    });
+    this.enemies.forEach(enemy => {
+      enemy.previousHealth = enemy.health;
+    });
+  }
+
+  /**
+   * Check whether the boss fight is over
+   * Victory when the boss dies, defeat when the hero dies or time runs out
+   */
+  checkBossResult() {
+    // Summoned minions don't have to be killed - they fall with their summoner
+    const bossDefeated = this.enemies.every(enemy => !enemy.isAlive() || enemy.summoner);
+
+    if (bossDefeated) {
+      this.endBattle('victory');
+    } else if (this.getAliveHeroes().length === 0 || this.bossTimeRemaining <= 0) {
+      this.endBattle('defeat');
+    }
+  }
+
+  /**
+   * End the current battle and report the result
+   *
+   * @param {string} result - 'victory' or 'defeat'
+   */
+  endBattle(result) {
+    this.isBattleActive = false;
+    this.battleResult = result;
+
+    // Defeated bosses always drop gear
+    if (result === 'victory') {
+      const bosses = this.enemies.filter(enemy => !enemy.summoner);
+      this.totalEnemiesDefeated += bosses.length;
+      bosses.forEach(boss => this.rollLoot(boss));
+    } else if (this.getAliveHeroes().length === 0) {
+      this.totalPartyWipes++;
+    }
+
+    if (this.adventureLog) {
+      if (result === 'victory') {
+        this.adventureLog.logStory(`🏆 The party defeated the Stage ${this.currentStage} boss!`);
+      } else {
+        const reason = this.getAliveHeroes().length > 0 ? 'Time ran out' : 'The party fell';
+        this.adventureLog.logStory(`☠️ ${reason} - the Stage ${this.currentStage} boss survives.`);
+      }
+    }
+
+    console.log(`Boss Battle ended: ${result}`);
+
+    if (this.onBattleEnd) {
+      this.onBattleEnd(result);
+    }
+  }
+
+  /**
+   * Get seconds left on the boss timer
+   *
+   * @returns {number} Seconds remaining (0 outside BOSS mode)
+   */
+  getBossTimeSeconds() {
+    if (this.battleMode !== 'BOSS') return 0;
+    return Math.ceil(this.bossTimeRemaining / 1000);
+  }
+
   /**
    * Execute one round of attacks
    */
   executeRound() {
-    // Hero auto-attacks
-    if (this.hero.isAlive()) {
-      this.heroAttack(this.hero);
-    }
+    // Decide who may act before effects tick, so a 1-round stun
+    // applied last round still costs the target this round
+    const heroCanAct = this.heroes.map(hero => hero.statusEffects.canAct());
+    const enemyCanAct = this.enemies.map(enemy => enemy.statusEffects.canAct());
+
+    // Status effects tick (burn/poison damage, expiry)
+    this.heroes.forEach(hero => this.processStatusEffects(hero));
+    this.enemies.forEach(enemy => this.processStatusEffects(enemy));
 
-    // All enemies attack
+    // Enemy abilities come off cooldown, and badly hurt enemies enrage
     this.enemies.forEach(enemy => {
-      if (enemy.isAlive()) {
+      enemy.tickAbilityCooldowns();
+      this.checkEnrage(enemy);
+    });
+
+    // Each living hero acts
+    this.heroes.forEach((hero, index) => {
+      if (!heroCanAct[index] || !hero.isAlive()) return;
+
+      // Supports heal an injured ally instead of fighting
+      if (hero.role === 'Support' && this.supportHeal(hero)) {
+        return;
+      }
+
+      // Hero auto-casts a skill if the AI finds a good one
+      const skillAI = this.getSkillAI(hero);
+      if (skillAI) {
+        skillAI.castBestSkill(this.enemies, this);
+      }
+
+      // Hero auto-attacks (more than once per round with enough attack speed)
+      const heroAttacks = this.getAttackCount(hero);
+      for (let i = 0; i < heroAttacks && hero.isAlive(); i++) {
+        this.heroAttack(hero);
+      }
+    });
+
+    // All enemies act (minions summoned this round wait for the next one)
+    this.enemies.forEach((enemy, index) => {
+      if (!enemyCanAct[index] || !enemy.isAlive()) return;
+
+      // Healing or summoning uses up the enemy's turn
+      if (this.useEnemyAbility(enemy)) {
+        return;
+      }
+
+      const enemyAttacks = this.getAttackCount(enemy);
+      for (let i = 0; i < enemyAttacks && enemy.isAlive(); i++) {
         this.enemyAttack(enemy);
       }
     });
   }
 
+  /**
+   * Support role: heal the most injured living ally
+   * Heals for 100% of the support's attack
+   *
+   * @param {Hero} healer - Support hero
+   * @returns {boolean} True if someone was healed (the healer's turn is used up)
+   */
+  supportHeal(healer) {
+    const injured = this.getAliveHeroes().filter(
+      hero => hero.getHealthPercent() < SUPPORT_HEAL_THRESHOLD
+    );
+    if (injured.length === 0) {
+      return false;
+    }
+
+    const target = injured.reduce((lowest, hero) =>
+      hero.getHealthPercent() < lowest.getHealthPercent() ? hero : lowest
+    );
+
+    const oldHealth = target.health;
+    target.health = BigNum.min(target.maxHealth, target.health.add(healer.attack));
+    const actualHeal = target.health.sub(oldHealth).floor();
+
+    this.createDamageNumber(target.x, target.y, actualHeal, true);
+
+    // Log samples are rolled even without a log, so the roll sequence never depends on it
+    if (this.rng.chance(0.1) && this.adventureLog) { // 10% chance to log
+      this.adventureLog.add('skill', `💚 ${healer.name} healed ${target.name} for ${actualHeal} HP`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Let an enemy use its heal or summon ability if one is ready and useful
+   *
+   * @param {Enemy} enemy - Acting enemy
+   * @returns {boolean} True if an ability was used (the enemy's turn is used up)
+   */
+  useEnemyAbility(enemy) {
+    const { heal, summon } = enemy.abilities;
+
+    if (heal && enemy.isAbilityReady('heal') && this.enemyHeal(enemy, heal)) {
+      enemy.startAbilityCooldown('heal', heal.cooldown);
+      return true;
+    }
+
+    if (summon && enemy.isAbilityReady('summon') && this.enemySummon(enemy, summon)) {
+      enemy.startAbilityCooldown('summon', summon.cooldown);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Healer enemy: heal the most injured living ally below the threshold
+   *
+   * @param {Enemy} healer - Enemy with the heal ability
+   * @param {object} heal - Ability settings { threshold, ratio }
+   * @returns {boolean} True if someone was healed
+   */
+  enemyHeal(healer, heal) {
+    const injured = this.enemies.filter(
+      enemy => enemy.isAlive() && enemy.getHealthPercent() < heal.threshold
+    );
+    if (injured.length === 0) {
+      return false;
+    }
+
+    const target = injured.reduce((lowest, enemy) =>
+      enemy.getHealthPercent() < lowest.getHealthPercent() ? enemy : lowest
+    );
+
+    const oldHealth = target.health;
+    target.health = BigNum.min(target.maxHealth, target.health.add(healer.attack.mul(heal.ratio)));
+    const actualHeal = target.health.sub(oldHealth).floor();
+
+    this.createDamageNumber(target.x, target.y, actualHeal, true);
+
+    if (this.rng.chance(0.1) && this.adventureLog) { // 10% chance to log
+      this.adventureLog.add('skill', `💚 ${healer.type} healed ${target.type} for ${actualHeal} HP`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Summoner enemy: raise a minion into the horde
+   * Minions are scaled-down enemies of the stage that give no rewards and
+   * crumble when their summoner dies (see checkEnemyRespawn)
+   *
+   * @param {Enemy} summoner - Enemy with the summon ability
+   * @param {object} summon - Ability settings { archetype, max, power }
+   * @returns {boolean} True if a minion was summoned
+   */
+  enemySummon(summoner, summon) {
+    const minions = this.enemies.filter(enemy => enemy.summoner === summoner && enemy.isAlive());
+    if (minions.length >= summon.max) {
+      return false;
+    }
+
+    const power = summon.power || 1;
+    const minion = createEnemy(summon.archetype, this.currentStage, this.enemies.length);
+    minion.maxHealth = minion.maxHealth.mul(power).floor();
+    minion.health = minion.maxHealth;
+    minion.attack = minion.attack.mul(power).floor();
+    minion.summoner = summoner;
+    minion.x = summoner.x;
+    minion.y = summoner.y;
+    this.enemies.push(minion);
+
+    if (this.rng.chance(0.2) && this.adventureLog) { // 20% chance to log
+      this.adventureLog.logStory(`💀 ${summoner.type} raised a ${minion.type}!`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Enrage an enemy whose health dropped below its enrage threshold
+   * Enraging happens once and lasts until the enemy dies
+   *
+   * @param {Enemy} enemy - Enemy to check
+   */
+  checkEnrage(enemy) {
+    const enrage = enemy.abilities.enrage;
+    if (!enrage || enemy.isEnraged || !enemy.isAlive()) {
+      return;
+    }
+    if (enemy.getHealthPercent() >= enrage.threshold) {
+      return;
+    }
+
+    enemy.isEnraged = true;
+    enemy.attack = enemy.attack.mul(enrage.attack || 1).floor();
+    enemy.attackSpeed *= enrage.attackSpeed || 1;
+
+    // Bosses always announce it; horde enemies only sometimes
+    if ((enemy.isBoss || this.rng.chance(0.2)) && this.adventureLog) {
+      const name = enemy.isBoss ? `The ${enemy.type} Boss` : `A ${enemy.type}`;
+      this.adventureLog.logStory(`💢 ${name} flies into a rage!`);
+    }
+  }
+
+  /**
+   * Pick which hero an enemy attacks
+   * Front-row heroes and Tanks draw more aggro (see AGGRO_WEIGHTS)
+   *
+   * @returns {Hero|null} Target hero, or null if the whole party is down
+   */
+  chooseHeroTarget() {
+    const aliveHeroes = this.getAliveHeroes();
+    if (aliveHeroes.length === 0) {
+      return null;
+    }
+
+    const weights = aliveHeroes.map(hero => {
+      const rowWeight = hero.row === 'front' ? AGGRO_WEIGHTS.frontRow : AGGRO_WEIGHTS.backRow;
+      const roleWeight = hero.role === 'Tank' ? AGGRO_WEIGHTS.tank : 1;
+      return rowWeight * roleWeight;
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let roll = this.rng.next() * totalWeight;
+    for (let i = 0; i < aliveHeroes.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) {
+        return aliveHeroes[i];
+      }
+    }
+    return aliveHeroes[aliveHeroes.length - 1];
+  }
+
+  /**
+   * Work out how many attacks a combatant makes this round
+   * Attack speed builds up a charge each round; every full point is one attack
+   * (e.g. 1.25 attack speed = an extra attack every 4th round)
+   *
+   * @param {Hero|Enemy} combatant - Hero or enemy
+   * @returns {number} Number of attacks this round
+   */
+  getAttackCount(combatant) {
+    combatant.attackCharge += combatant.attackSpeed;
+    const attacks = Math.floor(combatant.attackCharge);
+    combatant.attackCharge -= attacks;
+    return attacks;
+  }
+
+  /**
+   * Roll an attack: hit or miss, crit or not, and raw damage
+   * Damage is before the defender's defense (takeDamage applies that)
+   *
+   * @param {Hero|Enemy} attacker - Who attacks
+   * @param {Hero|Enemy} defender - Who is attacked
+   * @param {number} multiplier - Damage multiplier (e.g. 2 for Fireball)
+   * @param {boolean} canMiss - False for attacks that always land (skills)
+   * @param {SeededRandom} rng - Where the rolls come from (skills pass their SkillManager's)
+   * @returns {{isMiss: boolean, isCrit: boolean, damage: BigNum}} Attack result
+   */
+  rollDamage(attacker, defender, multiplier = 1, canMiss = true, rng = this.rng) {
+    // Accuracy vs dodge decides if the attack lands (between 5% and 100%)
+    if (canMiss) {
+      const hitChance = Math.min(1, Math.max(0.05, attacker.accuracy - defender.dodge));
+      if (!rng.chance(hitChance)) {
+        return { isMiss: true, isCrit: false, damage: BigNum.from(0) };
+      }
+    }
+
+    // ±10% variance for variety
+    const variance = rng.range(0.9, 1.1);
+    let damage = attacker.attack.mul(multiplier * variance);
+
+    const isCrit = rng.chance(attacker.critChance);
+    if (isCrit) {
+      damage = damage.mul(attacker.critDamage);
+    }
+
+    return { isMiss: false, isCrit: isCrit, damage: damage.floor() };
+  }
+
+  /**
+   * Heal an attacker for a share of the damage they dealt
+   *
+   * @param {Hero|Enemy} attacker - Who dealt the damage
+   * @param {BigNum} damageDealt - Damage dealt after defense
+   */
+  applyLifesteal(attacker, damageDealt) {
+    const healAmount = damageDealt.mul(attacker.lifesteal).floor();
+    if (healAmount.lte(0) || !attacker.isAlive()) {
+      return;
+    }
+
+    attacker.health = BigNum.min(attacker.maxHealth, attacker.health.add(healAmount));
+    this.createDamageNumber(attacker.x, attacker.y, healAmount, true);
+  }
+
+  /**
+   * Tick a combatant's status effects: deal damage-over-time and drop expired effects
+   *
+   * @param {Hero|Enemy} combatant - Hero or enemy
+   */
+  processStatusEffects(combatant) {
+    if (!combatant.isAlive()) {
+      return;
+    }
+
+    const result = combatant.statusEffects.tick();
+
+    // Damage-over-time ignores defense and shields
+    // (effects on enemies come from heroes, so that damage counts as theirs)
+    const isEnemy = this.enemies.includes(combatant);
+    result.damage.forEach(tick => {
+      combatant.health = BigNum.max(0, combatant.health.sub(tick.amount));
+      this.createDamageNumber(combatant.x, combatant.y, tick.amount, false, tick.effect.color);
+      if (isEnemy) {
+        this.recordHeroDamage(tick.amount);
+      }
+    });
+
+    // Only report heroes' expiries to keep the log readable
+    if (this.adventureLog && this.heroes.includes(combatant)) {
+      result.expired.forEach(effect => {
+        this.adventureLog.logStatusExpired(combatant.name, effect.name, effect.icon);
+      });
+    }
+  }
+
+  /**
+   * Apply a status effect to a hero or enemy and report it
+   *
+   * @param {Hero|Enemy} target - Who receives the effect
+   * @param {string} type - Key in STATUS_EFFECT_TYPES
+   * @param {number|BigNum} power - Damage per tick or shield HP (0 for stun/slow)
+   * @param {number} duration - Rounds (optional, defaults to the type's duration)
+   */
+  applyStatusEffect(target, type, power = 0, duration) {
+    if (!target.isAlive()) {
+      return;
+    }
+
+    const effect = target.statusEffects.apply(type, power, duration);
+
+    if (effect && this.adventureLog) {
+      const targetName = target.name || target.type;
+      this.adventureLog.logStatusEffect(targetName, effect.name, effect.icon, effect.stacks);
+    }
+  }
+
+  /**
+   * Cast a skill on demand (skill bar click or hotkey)
+   *
+   * @param {Hero} hero - The party member casting
+   * @param {string} skillId - The skill to cast
+   * @returns {boolean} True if the skill was cast
+   */
+  castSkill(hero, skillId) {
+    const skillManager = this.getSkillManager(hero);
+    if (!this.isBattleActive || this.isPaused || !skillManager) {
+      return false;
+    }
+
+    // Fallen or stunned heroes can't cast
+    if (!hero.isAlive() || hero.statusEffects.has('stun')) {
+      return false;
+    }
+
+    const skillAI = this.getSkillAI(hero);
+    const aliveEnemies = this.enemies.filter(e => e.isAlive());
+    const targets = skillAI
+      ? skillAI.getTargets(skillId, this.enemies)
+      : aliveEnemies;
+
+    // Don't waste an attack skill when there is nothing to hit
+    if (skillId !== 'heal' && targets.length === 0) {
+      return false;
+    }
+
+    return skillManager.useSkill(skillId, targets, this);
+  }
+
   /**
    * Hero attacks a random living enemy
    *
@@ -192,49 +751,81 @@ class BattleManager {
     }
 
     // Pick a random enemy
-    const target = aliveEnemies[Math.floor(Math.random() * aliveEnemies.length)];
+    const target = this.rng.pick(aliveEnemies);
 
-    // Calculate damage (with ±10% variance for variety)
-    const baseAttack = hero.attack;
-    const variance = 0.9 + Math.random() * 0.2; // 0.9 to 1.1
-    const damage = Math.floor(baseAttack * variance);
+    // Roll hit/miss, crit and damage
+    const roll = this.rollDamage(hero, target);
+    if (roll.isMiss) {
+      this.createMissNumber(target.x, target.y);
+      return;
+    }
 
     // Apply damage to enemy
-    const actualDamage = target.takeDamage(damage);
+    const actualDamage = target.takeDamage(roll.damage);
+    this.recordHeroDamage(actualDamage);
 
     // Create floating damage number
-    this.createDamageNumber(target.x, target.y, actualDamage, false);
+    this.createDamageNumber(target.x, target.y, actualDamage, false, null, roll.isCrit);
+
+    // Lifesteal heals the hero for a share of the damage
+    this.applyLifesteal(hero, actualDamage);
 
     // Log to adventure log (less frequently to avoid spam)
-    if (this.adventureLog && Math.random() < 0.1) { // 10% chance to log
+    if (this.rng.chance(0.1) && this.adventureLog) { // 10% chance to log
       this.adventureLog.logCombat(hero.name, target.type, actualDamage);
     }
   }
 
   /**
-   * Enemy attacks the hero
+   * Add damage dealt by the party to the running total
+   *
+   * @param {number|BigNum} amount - Damage dealt
+   */
+  recordHeroDamage(amount) {
+    this.totalHeroDamage = this.totalHeroDamage.add(amount);
+  }
+
+  /**
+   * Enemy attacks a hero (chosen by aggro)
    *
    * @param {Enemy} enemy - Attacking enemy
    */
   enemyAttack(enemy) {
-    if (!this.hero.isAlive()) {
-      return; // Hero dead
+    const target = this.chooseHeroTarget();
+    if (!target) {
+      return; // Whole party down
     }
 
-    // Calculate damage (with ±10% variance)
-    const baseAttack = enemy.attack;
-    const variance = 0.9 + Math.random() * 0.2;
-    const damage = Math.floor(baseAttack * variance);
+    // Ranged enemies hit harder from the back row
+    const ranged = enemy.abilities.ranged;
+    const multiplier = ranged && enemy.row === 'back' ? ranged.backRowMultiplier : 1;
+
+    // Roll hit/miss, crit and damage
+    const roll = this.rollDamage(enemy, target, multiplier);
+    if (roll.isMiss) {
+      this.createMissNumber(target.x, target.y);
+      return;
+    }
 
     // Apply damage to hero
-    const actualDamage = this.hero.takeDamage(damage);
+    const actualDamage = target.takeDamage(roll.damage);
 
-    // Create floating damage number
-    this.createDamageNumber(this.hero.x, this.hero.y, actualDamage, true);
+    // Create floating damage number (red for damage to heroes)
+    this.createDamageNumber(target.x, target.y, actualDamage, false, '#ef4444', roll.isCrit);
+
+    // Enemies with lifesteal heal too
+    this.applyLifesteal(enemy, actualDamage);
+
+    // Some enemy types can poison, burn, stun or slow on hit
+    const onHit = enemy.onHitEffect;
+    if (onHit && this.rng.chance(onHit.chance)) {
+      const power = enemy.attack.mul(onHit.powerRatio || 0).floor();
+      this.applyStatusEffect(target, onHit.type, power, onHit.duration);
+    }
 
     // Log occasionally
-    if (this.adventureLog && Math.random() < 0.05) { // 5% chance
-      this.adventureLog.logCombat(enemy.type, this.hero.name, actualDamage);
+    if (this.rng.chance(0.05) && this.adventureLog) { // 5% chance
+      this.adventureLog.logCombat(enemy.type, target.name, actualDamage);
     }
   }
 
@@ -248,34 +839,76 @@ class BattleManager {
         const defeatedEnemy = this.enemies[i];
 
         // Log defeat
-        if (this.adventureLog && Math.random() < 0.2) { // 20% chance to log
+        if (this.rng.chance(0.2) && this.adventureLog) { // 20% chance to log
           this.adventureLog.logEnemyDefeated(defeatedEnemy.type);
         }
 
+        // Summoned minions drop nothing, pay no bounty and don't count as kills
+        // (summoners would otherwise be gold and loot farms)
+        if (!defeatedEnemy.summoner) {
+          // Chance to drop gear
+          this.rollLoot(defeatedEnemy);
+
+          if (this.onEnemyDefeated) {
+            this.onEnemyDefeated(defeatedEnemy);
+          }
+
+          this.enemiesDefeatedThisStage++;
+          this.totalEnemiesDefeated++;
+        }
+
         // Remove from array
         this.enemies.splice(i, 1);
-        this.enemiesDefeatedThisStage++;
       }
     }
 
+    // Minions crumble when their summoner falls
+    this.enemies = this.enemies.filter(
+      enemy => !enemy.summoner || this.enemies.includes(enemy.summoner)
+    );
+
     // Spawn new wave when below max enemies
-    if (this.enemies.length < this.maxEnemies) {
+    if (this.getHordeSize() < this.maxEnemies) {
       this.currentWave++;
       this.spawnWave();
     }
   }
 
   /**
-   * Respawn hero when defeated
+   * Roll for an item drop from a defeated enemy and hand it to the game
+   *
+   * @param {Enemy} enemy - The defeated enemy
    */
-  respawnHero() {
-    this.hero.heal();
+  rollLoot(enemy) {
+    const item = rollItemDrop(this.currentStage, enemy.isBoss, this.rng, enemy.loot);
+    if (!item) {
+      return;
+    }
 
     if (this.adventureLog) {
-      this.adventureLog.logRespawn(this.hero.name);
+      this.adventureLog.logItemDrop(enemy.type, item.name, item.getColor());
     }
 
-    console.log(`${this.hero.name} respawned!`);
+    if (this.onItemDrop) {
+      this.onItemDrop(item);
+    }
+  }
+
+  /**
+   * Respawn the whole party when every hero has fallen
+   */
+  respawnParty() {
+    this.heroes.forEach(hero => {
+      hero.heal();
+      hero.statusEffects.clear();
+    });
+    this.totalPartyWipes++;
+
+    if (this.adventureLog) {
+      this.adventureLog.logRespawn('The party');
+    }
+
+    console.log('Party respawned!');
   }
 
   /**
@@ -283,18 +916,46 @@ class BattleManager {
    *
    * @param {number} x - X position
    * @param {number} y - Y position
-   * @param {number} damage - Damage/heal amount
+   * @param {number|BigNum} damage - Damage/heal amount
    * @param {boolean} isHeal - True if healing (green), false if damage (red/white)
+   * @param {string} color - Optional text color override (e.g. status effect color)
+   * @param {boolean} isCrit - True for critical hits (bigger yellow "CRIT" text)
+   * @param {number} delay - Milliseconds before it appears (to stagger several hits)
    */
-  createDamageNumber(x, y, damage, isHeal) {
+  createDamageNumber(x, y, damage, isHeal, color = null, isCrit = false, delay = 0) {
     this.damageNumbers.push({
       x: x,
       y: y - 20, // Start above the character
-      damage: Math.floor(damage),
+      damage: BigNum.from(damage).floor(),
       opacity: 1.0,
+      delay: delay, // Hidden until this counts down (see updateDamageNumbers)
       lifetime: 0,
       maxLifetime: 1000, // Fade out after 1 second
-      isHeal: isHeal
+      isHeal: isHeal,
+      color: color,
+      isCrit: isCrit,
+      text: null
+    });
+  }
+
+  /**
+   * Create a floating "MISS" for an attack that was dodged
+   *
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  createMissNumber(x, y) {
+    this.damageNumbers.push({
+      x: x,
+      y: y - 20,
+      damage: BigNum.from(0),
+      opacity: 1.0,
+      lifetime: 0,
+      maxLifetime: 1000,
+      isHeal: false,
+      color: '#9ca3af',
+      isCrit: false,
+      text: 'MISS'
     });
   }
 
@@ -305,6 +966,12 @@ class BattleManager {
    */
   updateDamageNumbers(deltaTime) {
     this.damageNumbers = this.damageNumbers.filter(num => {
+      // Staggered numbers wait before they start floating
+      if (num.delay > 0) {
+        num.delay -= deltaTime;
+        return true;
+      }
+
       num.lifetime += deltaTime;
 
       // Float upward
@@ -0,0 +1,383 @@
+/**
+ * Big Numbers - Values that outgrow JavaScript numbers
+ *
+ * Enemy health grows by 1.2^stage and gold by 1.1^stage, so late stages
+ * pass Number.MAX_SAFE_INTEGER (and eventually 1.8e308, where a number
+ * becomes Infinity). BigNum stores mantissa * 10^exponent:
+ * - below BIG_NUM_SMALL_LIMIT the mantissa is just the plain number
+ *   (exponent 0), so everyday values stay exact
+ * - above it the mantissa is kept between 1 and 10
+ *
+ * BigNums are immutable - every operation returns a new one. Operations
+ * accept plain numbers too (a.add(5), a.gte(cost)).
+ *
+ * toString() formats for display (formatNumber); toJSON() gives a number
+ * for small values and a "1.5e400" string for big ones.
+ */
+
+/**
+ * Values below this are stored as plain numbers (exact integers)
+ */
+export const BIG_NUM_SMALL_LIMIT = 1e15;
+
+/**
+ * Number display styles (picked in settings)
+ */
+export const NUMBER_NOTATIONS = ['suffix', 'scientific'];
+
+/**
+ * Short suffixes for thousands, millions, billions, trillions
+ * Bigger tiers use letter pairs: aa, ab, ..., az, ba, ..., zz
+ */
+export const NUMBER_SUFFIXES = ['', 'K', 'M', 'B', 'T'];
+
+/**
+ * Current display style (see setNumberNotation)
+ */
+export let currentNumberNotation = 'suffix';
+
+export class BigNum {
+  /**
+   * Use BigNum.from() or BigNum.normalize() rather than calling this directly
+   *
+   * @param {number} mantissa - Plain value (small form) or 1 <= |m| < 10 (big form)
+   * @param {number} exponent - 0 (small form) or the power of ten (big form)
+   */
+  constructor(mantissa, exponent) {
+    this.mantissa = mantissa;
+    this.exponent = exponent;
+  }
+
+  /**
+   * Build a BigNum from mantissa * 10^exponent in either form
+   *
+   * @param {number} mantissa - Any finite number
+   * @param {number} exponent - Power of ten
+   * @returns {BigNum} Normalized value
+   */
+  static normalize(mantissa, exponent) {
+    if (!isFinite(mantissa) || mantissa === 0 || !isFinite(exponent)) {
+      return new BigNum(0, 0);
+    }
+
+    const magnitude = Math.floor(Math.log10(Math.abs(mantissa)));
+    if (magnitude + exponent < 15) {
+      return new BigNum(mantissa * Math.pow(10, exponent), 0);
+    }
+
+    let shifted = mantissa / Math.pow(10, magnitude);
+    let newExponent = exponent + magnitude;
+
+    // Floating point can land on 10.000 or 0.9999 - nudge back into [1, 10)
+    if (Math.abs(shifted) >= 10) {
+      shifted /= 10;
+      newExponent++;
+    } else if (Math.abs(shifted) < 1) {
+      shifted *= 10;
+      newExponent--;
+    }
+
+    return new BigNum(shifted, newExponent);
+  }
+
+  /**
+   * Convert a number, numeric string or BigNum
+   *
+   * @param {number|string|BigNum|object} value - Value to convert
+   *   (also accepts { mantissa, exponent } from a copied BigNum)
+   * @returns {BigNum} The value as a BigNum (0 for anything unreadable)
+   */
+  static from(value) {
+    if (value instanceof BigNum) {
+      return value;
+    }
+    if (typeof value === 'number') {
+      if (Math.abs(value) < BIG_NUM_SMALL_LIMIT) {
+        return new BigNum(isFinite(value) ? value : 0, 0);
+      }
+      return BigNum.normalize(value, 0);
+    }
+    if (typeof value === 'string') {
+      const match = value.trim().match(/^(-?[\d.]+)(?:e\+?(-?\d+))?$/i);
+      if (!match) {
+        return new BigNum(0, 0);
+      }
+      return BigNum.normalize(parseFloat(match[1]), match[2] ? parseInt(match[2], 10) : 0);
+    }
+    if (value && typeof value.mantissa === 'number') {
+      return BigNum.normalize(value.mantissa, value.exponent || 0);
+    }
+    return new BigNum(0, 0);
+  }
+
+  /**
+   * Check that a saved value can be read as a BigNum
+   *
+   * @param {any} value - Saved value
+   * @returns {boolean} True for finite numbers and "1.5e400" style strings
+   */
+  static isValid(value) {
+    if (typeof value === 'number') {
+      return isFinite(value);
+    }
+    return typeof value === 'string' && /^-?[\d.]+(e\+?-?\d+)?$/i.test(value.trim());
+  }
+
+  /**
+   * Raise a plain number to a power without overflowing
+   *
+   * @param {number} base - Positive base (e.g. 1.2)
+   * @param {number} power - Exponent (e.g. stage - 1)
+   * @returns {BigNum} base^power
+   */
+  static pow(base, power) {
+    return BigNum.from(base).pow(power);
+  }
+
+  /**
+   * Get the larger of two values
+   * @param {number|BigNum} a - First value
+   * @param {number|BigNum} b - Second value
+   * @returns {BigNum} The larger one
+   */
+  static max(a, b) {
+    const left = BigNum.from(a);
+    return left.gte(b) ? left : BigNum.from(b);
+  }
+
+  /**
+   * Get the smaller of two values
+   * @param {number|BigNum} a - First value
+   * @param {number|BigNum} b - Second value
+   * @returns {BigNum} The smaller one
+   */
+  static min(a, b) {
+    const left = BigNum.from(a);
+    return left.lte(b) ? left : BigNum.from(b);
+  }
+
+  add(other) {
+    const b = BigNum.from(other);
+    if (this.exponent === 0 && b.exponent === 0) {
+      return BigNum.from(this.mantissa + b.mantissa);
+    }
+
+    // Line up on the bigger exponent; a much smaller value doesn't register
+    const [big, small] = this.exponent >= b.exponent ? [this, b] : [b, this];
+    const difference = big.exponent - small.exponent;
+    if (difference > 17) {
+      return big;
+    }
+    return BigNum.normalize(
+      big.mantissa + small.mantissa / Math.pow(10, difference),
+      big.exponent
+    );
+  }
+
+  sub(other) {
+    return this.add(BigNum.from(other).neg());
+  }
+
+  mul(other) {
+    const b = BigNum.from(other);
+    if (this.exponent === 0 && b.exponent === 0) {
+      return BigNum.from(this.mantissa * b.mantissa);
+    }
+    return BigNum.normalize(this.mantissa * b.mantissa, this.exponent + b.exponent);
+  }
+
+  div(other) {
+    const b = BigNum.from(other);
+    if (b.isZero()) {
+      return new BigNum(0, 0);
+    }
+    if (this.exponent === 0 && b.exponent === 0) {
+      return BigNum.from(this.mantissa / b.mantissa);
+    }
+    return BigNum.normalize(this.mantissa / b.mantissa, this.exponent - b.exponent);
+  }
+
+  /**
+   * Raise to a power (positive values only)
+   * @param {number} power - Exponent
+   * @returns {BigNum} this^power
+   */
+  pow(power) {
+    if (this.isZero()) {
+      return new BigNum(0, 0);
+    }
+
+    // Small results stay exactly what Math.pow gives
+    if (this.exponent === 0) {
+      const direct = Math.pow(this.mantissa, power);
+      if (Math.abs(direct) < BIG_NUM_SMALL_LIMIT) {
+        return BigNum.from(direct);
+      }
+    }
+
+    const log = this.log10() * power;
+    const exponent = Math.floor(log);
+    return BigNum.normalize(Math.pow(10, log - exponent), exponent);
+  }
+
+  neg() {
+    return new BigNum(-this.mantissa, this.exponent);
+  }
+
+  abs() {
+    return new BigNum(Math.abs(this.mantissa), this.exponent);
+  }
+
+  /**
+   * Round down (big values have no fraction left to drop)
+   * @returns {BigNum} Whole number
+   */
+  floor() {
+    return this.exponent === 0 ? new BigNum(Math.floor(this.mantissa), 0) : this;
+  }
+
+  /**
+   * Get log10 of the absolute value
+   * @returns {number} log10(|this|) (-Infinity for 0)
+   */
+  log10() {
+    return Math.log10(Math.abs(this.mantissa)) + this.exponent;
+  }
+
+  /**
+   * Compare with another value
+   * @param {number|BigNum} other - Value to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  cmp(other) {
+    const b = BigNum.from(other);
+    const signA = Math.sign(this.mantissa);
+    const signB = Math.sign(b.mantissa);
+    if (signA !== signB) {
+      return signA > signB ? 1 : -1;
+    }
+
+    // Same sign: a bigger exponent means a bigger magnitude
+    let result;
+    if (this.exponent !== b.exponent) {
+      result = this.exponent > b.exponent ? 1 : -1;
+    } else if (this.mantissa === b.mantissa) {
+      return 0;
+    } else {
+      return this.mantissa > b.mantissa ? 1 : -1;
+    }
+    return signA < 0 ? -result : result;
+  }
+
+  gt(other) { return this.cmp(other) > 0; }
+  gte(other) { return this.cmp(other) >= 0; }
+  lt(other) { return this.cmp(other) < 0; }
+  lte(other) { return this.cmp(other) <= 0; }
+  eq(other) { return this.cmp(other) === 0; }
+  isZero() { return this.mantissa === 0; }
+
+  /**
+   * Get this value divided by 10^digits as a plain number
+   * @param {number} digits - Power of ten to divide by
+   * @returns {number} Scaled value
+   */
+  shiftedDown(digits) {
+    return this.mantissa * Math.pow(10, this.exponent - digits);
+  }
+
+  /**
+   * Convert to a plain number (Infinity beyond ~1.8e308)
+   * @returns {number} Plain value
+   */
+  toNumber() {
+    return this.exponent === 0 ? this.mantissa : this.mantissa * Math.pow(10, this.exponent);
+  }
+
+  /**
+   * Display text in the player's chosen notation
+   * @returns {string} Formatted value
+   */
+  toString() {
+    return formatNumber(this);
+  }
+
+  /**
+   * Save as a number while it fits, otherwise as a "1.5e400" string
+   * @returns {number|string} Saved value (read back with BigNum.from)
+   */
+  toJSON() {
+    return this.exponent === 0 ? this.mantissa : `${this.mantissa}e${this.exponent}`;
+  }
+}
+
+/**
+ * Pick how numbers are displayed
+ *
+ * @param {string} notation - One of NUMBER_NOTATIONS
+ */
+export function setNumberNotation(notation) {
+  if (NUMBER_NOTATIONS.includes(notation)) {
+    currentNumberNotation = notation;
+  }
+}
+
+/**
+ * Get the suffix for a power-of-thousand tier (1 = K, 5 = aa, 6 = ab, ...)
+ *
+ * @param {number} tier - floor(log10(value) / 3)
+ * @returns {string|null} Suffix, or null past zz
+ */
+export function getNumberSuffix(tier) {
+  if (tier < NUMBER_SUFFIXES.length) {
+    return NUMBER_SUFFIXES[tier];
+  }
+
+  const index = tier - NUMBER_SUFFIXES.length;
+  if (index >= 26 * 26) {
+    return null;
+  }
+
+  const letter = code => String.fromCharCode(97 + code);
+  return letter(Math.floor(index / 26)) + letter(index % 26);
+}
+
+/**
+ * Format a number for display (gold, damage, health, ...)
+ * Whole numbers below 1000 are shown as they are; bigger ones are
+ * shortened to 3 significant digits in the current notation:
+ *   suffix: 1.50K, 25.0M, 999B, 1.20aa
+ *   scientific: 1.50e3, 2.50e7
+ *
+ * @param {number|BigNum} value - Value to format
+ * @param {string} notation - One of NUMBER_NOTATIONS (defaults to the chosen one)
+ * @returns {string} Display text
+ */
+export function formatNumber(value, notation = currentNumberNotation) {
+  const number = BigNum.from(value).floor();
+  const sign = number.mantissa < 0 ? '-' : '';
+  const absolute = number.abs();
+
+  if (absolute.lt(1000)) {
+    return `${sign}${absolute.toNumber()}`;
+  }
+
+  const magnitude = Math.floor(absolute.log10());
+  const tier = Math.floor(magnitude / 3);
+  const suffix = notation === 'suffix' ? getNumberSuffix(tier) : null;
+
+  // Round down so 999.9K never displays as "1000K"
+  // (the small epsilon keeps 2.5 from showing as 2.49 after float division)
+  const truncate = (value, decimals) => {
+    const factor = Math.pow(10, decimals);
+    return (Math.floor(value * factor + 1e-9) / factor).toFixed(decimals);
+  };
+
+  // Scientific (chosen, or past the last suffix)
+  if (suffix === null) {
+    return `${sign}${truncate(absolute.shiftedDown(magnitude), 2)}e${magnitude}`;
+  }
+
+  const scaled = absolute.shiftedDown(tier * 3);
+  const decimals = scaled < 10 ? 2 : scaled < 100 ? 1 : 0;
+  return `${sign}${truncate(scaled, decimals)}${suffix}`;
+}
@@ -0,0 +1,195 @@
+/**
+ * Cloud Sync - Keep a save in step across machines (optional)
+ *
+ * Pushes and pulls the createSaveState() payload to a REST save server
+ * (see server/saveServer.js for the reference server):
+ *   GET /saves/:syncId  -> 200 { save, lastSaveTime } | 404
+ *   PUT /saves/:syncId  <- { save, baseLastSaveTime, force }
+ *                       -> 200 { lastSaveTime } | 409 { save, lastSaveTime }
+ *
+ * Conflict detection uses lastSaveTime. After every successful sync both
+ * sides hold the same save, and we remember its lastSaveTime. Next time:
+ * - only the local save is newer  -> push it
+ * - only the remote save changed  -> pull it
+ * - both changed                  -> conflict: the player keeps one of them
+ */
+
+/**
+ * Storage key for the sync settings
+ */
+export const CLOUD_SYNC_SETTINGS_KEY = 'bartimaeus_rpg_cloud_sync';
+
+/**
+ * Minutes between automatic syncs while sync is enabled
+ */
+export const CLOUD_SYNC_INTERVAL_MINUTES = 5;
+
+/**
+ * Allowed sync IDs (the player's save name on the server)
+ */
+export const CLOUD_SYNC_ID_PATTERN = /^[A-Za-z0-9_-]{3,64}$/;
+
+export class CloudSyncManager {
+  constructor() {
+    this.enabled = false;
+    this.endpoint = 'http://localhost:8787'; // Save server base URL
+    this.syncId = ''; // Shared by every machine that syncs the same save
+    this.lastSyncedTime = null; // lastSaveTime of the save both sides last agreed on
+    this.lastSyncAt = null; // When the last successful sync finished
+    this.timeoutMs = 5000; // Give up on unresponsive servers
+  }
+
+  /**
+   * Check that sync is switched on and configured
+   * @returns {boolean} True if sync can run
+   */
+  isConfigured() {
+    return this.enabled && Boolean(this.endpoint) && CLOUD_SYNC_ID_PATTERN.test(this.syncId);
+  }
+
+  /**
+   * Build the URL of this player's save
+   * @returns {string} Save URL
+   */
+  getSaveUrl() {
+    const base = this.endpoint.replace(/\/+$/, '');
+    return `${base}/saves/${encodeURIComponent(this.syncId)}`;
+  }
+
+  /**
+   * fetch() that gives up after timeoutMs
+   * @param {string} url - Request URL
+   * @param {object} options - fetch options
+   * @returns {Promise<Response>} Response
+   */
+  async request(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      return await fetch(url, Object.assign({}, options, { signal: controller.signal }));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Download the remote save
+   * @returns {Promise<{save: object, lastSaveTime: number}|null>} Remote save, or null if there is none
+   */
+  async pull() {
+    const response = await this.request(this.getSaveUrl());
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Save server answered ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Upload a save
+   * Without force, the server refuses (409) if its save changed since lastSyncedTime
+   *
+   * @param {object} saveState - Save to upload
+   * @param {boolean} force - Overwrite the remote save whatever it holds
+   * @returns {Promise<{ok: boolean, conflict: object|null}>} conflict holds the remote save on 409
+   */
+  async push(saveState, force = false) {
+    const response = await this.request(this.getSaveUrl(), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        save: saveState,
+        baseLastSaveTime: this.lastSyncedTime,
+        force: force
+      })
+    });
+
+    if (response.status === 409) {
+      return { ok: false, conflict: await response.json() };
+    }
+    if (!response.ok) {
+      throw new Error(`Save server answered ${response.status}`);
+    }
+
+    this.markSynced(saveState.lastSaveTime);
+    return { ok: true, conflict: null };
+  }
+
+  /**
+   * Remember the save both sides now agree on
+   * @param {number} lastSaveTime - lastSaveTime of the synced save
+   */
+  markSynced(lastSaveTime) {
+    this.lastSyncedTime = lastSaveTime;
+    this.lastSyncAt = Date.now();
+  }
+
+  /**
+   * Compare the local save with the remote one and push if that's safe
+   *
+   * @param {object} localSave - Current local save state
+   * @returns {Promise<{status: string, remote: object|null}>}
+   *   status: 'pushed', 'pulled' (remote holds the save to load),
+   *   'up-to-date' or 'conflict' (remote holds the other save)
+   */
+  async sync(localSave) {
+    const remote = await this.pull();
+
+    if (!remote) {
+      const result = await this.push(localSave);
+      return result.ok
+        ? { status: 'pushed', remote: null }
+        : { status: 'conflict', remote: result.conflict };
+    }
+
+    const localChanged =
+      this.lastSyncedTime === null || localSave.lastSaveTime > this.lastSyncedTime;
+    const remoteChanged = remote.lastSaveTime !== this.lastSyncedTime;
+
+    if (!localChanged && !remoteChanged) {
+      return { status: 'up-to-date', remote: null };
+    }
+
+    if (localChanged && remoteChanged) {
+      return { status: 'conflict', remote: remote };
+    }
+
+    if (remoteChanged) {
+      return { status: 'pulled', remote: remote };
+    }
+
+    // Only the local save moved on - the server still double-checks with a 409
+    const result = await this.push(localSave);
+    return result.ok
+      ? { status: 'pushed', remote: null }
+      : { status: 'conflict', remote: result.conflict };
+  }
+
+  /**
+   * Serialize sync settings for storage
+   * @returns {object} Settings
+   */
+  toJSON() {
+    return {
+      enabled: this.enabled,
+      endpoint: this.endpoint,
+      syncId: this.syncId,
+      lastSyncedTime: this.lastSyncedTime,
+      lastSyncAt: this.lastSyncAt
+    };
+  }
+
+  /**
+   * Load sync settings
+   * @param {object} data - Stored settings
+   */
+  fromJSON(data) {
+    this.enabled = Boolean(data.enabled);
+    this.endpoint = data.endpoint || this.endpoint;
+    this.syncId = data.syncId || '';
+    this.lastSyncedTime = data.lastSyncedTime || null;
+    this.lastSyncAt = data.lastSyncAt || null;
+  }
+}
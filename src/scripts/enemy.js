@@ -4,70 +4,252 @@
  * Represents an enemy that heroes fight against.
  * Enemies are generated based on the current stage level.
  *
+ * Enemy types (archetypes) and the biomes they live in are data, defined in
+ * src/data/enemies.json. Every enemy - horde or boss - is built by
+ * createEnemy(), so adding a type only means adding it to the JSON.
+ *
  * Learning Note: Very similar to Hero class, but enemies don't level up
  * individually - they scale with the stage number instead.
  */
 
-class Enemy {
+import { BigNum } from './bigNumber.js';
+import { BALANCE } from './balance.js';
+import { ITEM_SLOTS } from './equipment.js';
+import { STATUS_EFFECT_TYPES, StatusEffects } from './statusEffects.js';
+import enemyData from '../data/enemies.json' with { type: 'json' };
+
+/**
+ * Enemy archetypes by id
+ * Each has: name, sprite (AssetManager 'enemies' key), color, row ('front'
+ * or 'back'), stats (multipliers on the stage's base stats), abilities,
+ * loot (dropChance and slot weights) and biomes (spawn weight per biome)
+ *
+ * Abilities (all optional, used by BattleManager):
+ * - onHit: { type, chance, powerRatio } - status effect inflicted on hit,
+ *   power as a share of attack
+ * - heal: { threshold, ratio, cooldown } - heal the most injured ally below
+ *   threshold health for ratio x attack instead of attacking
+ * - ranged: { backRowMultiplier } - damage multiplier while in the back row
+ * - summon: { archetype, cooldown, max, power } - raise a minion (stats x power)
+ *   instead of attacking, while fewer than max of its minions are alive
+ * - enrage: { threshold, attack, attackSpeed } - below threshold health,
+ *   attack and attack speed are multiplied (once)
+ * Cooldowns are in battle rounds.
+ */
+export const ENEMY_ARCHETYPES = enemyData.archetypes;
+
+/**
+ * Biomes in stage order - each covers stages from fromStage until the next one starts
+ * Each has: id, name (shown in the log), fromStage, background (AssetManager
+ * 'backgrounds' key drawn behind the battle) and boss (archetype id)
+ */
+export const ENEMY_BIOMES = enemyData.biomes;
+
+/**
+ * Check the enemy data once, when the game loads
+ * A typo in enemies.json would otherwise only throw mid-battle, when that
+ * type first spawns
+ *
+ * @param {object} data - Parsed enemies.json
+ * @throws {Error} Listing every problem found
+ */
+function validateEnemyData(data) {
+    const problems = [];
+    const archetypes = data.archetypes || {};
+    const biomes = data.biomes || [];
+    const biomeIds = biomes.map(biome => biome.id);
+
+    for (const [archetypeId, archetype] of Object.entries(archetypes)) {
+        const where = `archetype "${archetypeId}"`;
+        if (!archetype.name) problems.push(`${where} has no name`);
+        if (!archetype.stats) problems.push(`${where} has no stats`);
+        if (archetype.row && !['front', 'back'].includes(archetype.row)) {
+            problems.push(`${where} has row "${archetype.row}" (expected front or back)`);
+        }
+
+        const abilities = archetype.abilities || {};
+        if (abilities.onHit && !STATUS_EFFECT_TYPES[abilities.onHit.type]) {
+            problems.push(`${where} inflicts unknown status effect "${abilities.onHit.type}"`);
+        }
+        if (abilities.summon && !archetypes[abilities.summon.archetype]) {
+            problems.push(`${where} summons unknown archetype "${abilities.summon.archetype}"`);
+        }
+
+        const loot = archetype.loot || {};
+        if (typeof loot.dropChance !== 'number') problems.push(`${where} has no loot.dropChance`);
+        const slots = Object.keys(loot.slots || {});
+        if (!slots.some(slot => loot.slots[slot] > 0)) problems.push(`${where} has no loot slot weights`);
+        slots.filter(slot => !ITEM_SLOTS[slot]).forEach(slot => {
+            problems.push(`${where} drops unknown item slot "${slot}"`);
+        });
+
+        Object.keys(archetype.biomes || {}).filter(id => !biomeIds.includes(id)).forEach(id => {
+            problems.push(`${where} spawns in unknown biome "${id}"`);
+        });
+    }
+
+    if (biomes.length === 0 || biomes[0].fromStage !== 1) {
+        problems.push('the first biome must start at stage 1');
+    }
+    biomes.forEach((biome, index) => {
+        const where = `biome "${biome.id}"`;
+        if (index > 0 && !(biome.fromStage > biomes[index - 1].fromStage)) {
+            problems.push(`${where} must start after the biome before it`);
+        }
+        if (!archetypes[biome.boss]) {
+            problems.push(`${where} has unknown boss "${biome.boss}"`);
+        }
+        const spawns = Object.values(archetypes).some(
+            archetype => archetype.biomes && archetype.biomes[biome.id] > 0
+        );
+        if (!spawns) {
+            problems.push(`${where} has no archetype that spawns in it`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid enemy data (src/data/enemies.json):\n- ${problems.join('\n- ')}`);
+    }
+}
+
+validateEnemyData(enemyData);
+
+/**
+ * Look up an enemy archetype
+ *
+ * @param {string} archetypeId - Key in ENEMY_ARCHETYPES
+ * @returns {object} The archetype
+ * @throws {Error} If there is no such archetype
+ */
+function getArchetype(archetypeId) {
+    const archetype = ENEMY_ARCHETYPES[archetypeId];
+    if (!archetype) {
+        throw new Error(`Unknown enemy type: ${archetypeId}`);
+    }
+    return archetype;
+}
+
+export class Enemy {
     /**
      * Constructor - creates a new enemy
      *
      * @param {number} id - Enemy identifier
-     * @param {string} type - Enemy type name (Goblin, Orc, Demon, etc.)
-     * @param {number} health - Total health points
-     * @param {number} attack - Attack damage
-     * @param {number} defense - Defense stat
+     * @param {string} archetypeId - Key in ENEMY_ARCHETYPES (goblin, orc, demon, etc.)
+     * @param {number|BigNum} health - Total health points
+     * @param {number|BigNum} attack - Attack damage
+     * @param {number|BigNum} defense - Defense stat
      */
-    constructor(id, type, health, attack, defense) {
+    constructor(id, archetypeId, health, attack, defense) {
+        const archetype = getArchetype(archetypeId);
+
         this.id = id;
-        this.type = type;
+        this.archetypeId = archetypeId;
+        this.type = archetype.name; // Display name (Goblin, Orc, ...)
+
+        // Stats (BigNums - they grow exponentially with the stage)
+        this.maxHealth = BigNum.from(health);
+        this.health = this.maxHealth;
+        this.attack = BigNum.from(attack);
+        this.defense = BigNum.from(defense);
+
+        // Secondary stats (overridden per stage by getEnemySecondaryStats)
+        this.critChance = 0.05;
+        this.critDamage = 1.5;
+        this.dodge = 0.03;
+        this.accuracy = 0.9;
+        this.lifesteal = 0;
+        this.attackSpeed = 1;
+        this.attackCharge = 0; // Partial attacks carried between rounds
 
-        // Stats
-        this.maxHealth = health;
-        this.health = health;
-        this.attack = attack;
-        this.defense = defense;
+        // Bosses are single, beefed-up enemies fought in BOSS mode
+        this.isBoss = false;
+
+        // Formation row - some abilities depend on it (see ranged)
+        this.row = archetype.row || 'front';
+
+        // Active status effects and the effect this type inflicts on hit
+        this.statusEffects = new StatusEffects();
+        this.onHitEffect = archetype.abilities.onHit || null;
+
+        // Type behaviors (heal, ranged, summon, enrage) and their cooldowns in rounds
+        this.abilities = archetype.abilities;
+        this.abilityCooldowns = {};
+        this.isEnraged = false;
+
+        // Minions raised by a summoner (see BattleManager.enemySummon)
+        this.summoner = null;
+
+        // What this type drops when defeated (see rollItemDrop)
+        this.loot = archetype.loot;
 
         // Visual properties
-        this.color = this.getColorByType();
+        this.color = archetype.color;
+        this.sprite = archetype.sprite;
         this.x = 0; // Position on canvas (set by UI)
         this.y = 0;
     }
 
     /**
-     * Get enemy color based on type
-     * Different enemy types have different colors
+     * Set secondary combat stats
+     *
+     * @param {object} stats - { critChance, critDamage, dodge, accuracy, lifesteal, attackSpeed }
+     */
+    setSecondaryStats(stats) {
+        this.critChance = stats.critChance;
+        this.critDamage = stats.critDamage;
+        this.dodge = stats.dodge;
+        this.accuracy = stats.accuracy;
+        this.lifesteal = stats.lifesteal;
+        this.attackSpeed = stats.attackSpeed;
+    }
+
+    /**
+     * Check if an ability is off cooldown
+     *
+     * @param {string} ability - Ability name (heal, summon)
+     * @returns {boolean} True if it can be used this round
      */
-    getColorByType() {
-        switch(this.type) {
-            case 'Goblin': return '#84cc16'; // Lime green
-            case 'Orc': return '#dc2626'; // Dark red
-            case 'Demon': return '#7c3aed'; // Purple
-            case 'Skeleton': return '#d1d5db'; // Gray
-            case 'Dragon': return '#f97316'; // Orange
-            default: return '#71717a'; // Gray default
+    isAbilityReady(ability) {
+        return !this.abilityCooldowns[ability];
+    }
+
+    /**
+     * Put an ability on cooldown after using it
+     *
+     * @param {string} ability - Ability name
+     * @param {number} rounds - Rounds before it can be used again
+     */
+    startAbilityCooldown(ability, rounds) {
+        this.abilityCooldowns[ability] = rounds || 0;
+    }
+
+    /**
+     * Count ability cooldowns down by one round
+     */
+    tickAbilityCooldowns() {
+        for (const ability of Object.keys(this.abilityCooldowns)) {
+            this.abilityCooldowns[ability] = Math.max(0, this.abilityCooldowns[ability] - 1);
         }
     }
 
     /**
      * Take damage from a hero attack
      *
-     * @param {number} damage - Amount of damage to take
-     * @returns {number} Actual damage taken (after defense)
+     * @param {number|BigNum} damage - Amount of damage to take
+     * @returns {BigNum} Actual damage taken (after defense)
      */
     takeDamage(damage) {
         // Defense reduces damage by 50% of defense value
-        const reduction = this.defense * 0.5;
-        const actualDamage = Math.max(1, damage - reduction); // Minimum 1 damage
+        const reduction = this.defense.mul(0.5);
+        const reducedDamage = BigNum.max(1, BigNum.from(damage).sub(reduction)); // Minimum 1 damage
 
-        this.health -= actualDamage;
+        // An active shield soaks up damage first
+        const actualDamage = this.statusEffects.absorb(reducedDamage);
 
         // Health can't go below 0
-        if (this.health < 0) {
-            this.health = 0;
-        }
+        this.health = BigNum.max(0, this.health.sub(actualDamage));
 
-        return Math.floor(actualDamage);
+        return actualDamage.floor();
     }
 
     /**
@@ -76,7 +258,7 @@ class Enemy {
      * @returns {boolean} True if health > 0
      */
     isAlive() {
-        return this.health > 0;
+        return this.health.gt(0);
     }
 
     /**
@@ -85,80 +267,169 @@ class Enemy {
      * @returns {number} Value between 0 and 1
      */
     getHealthPercent() {
-        return this.health / this.maxHealth;
+        return this.health.div(this.maxHealth).toNumber();
     }
 }
 
 /**
- * Create enemies for a specific stage
+ * Find the biome a stage belongs to
  *
- * Enemies get stronger as stage number increases:
+ * @param {number} stageLevel - Stage number
+ * @returns {object} Biome from ENEMY_BIOMES
+ */
+export function getBiomeForStage(stageLevel) {
+    let biome = ENEMY_BIOMES[0];
+    for (const candidate of ENEMY_BIOMES) {
+        if (stageLevel >= candidate.fromStage) {
+            biome = candidate;
+        }
+    }
+    return biome;
+}
+
+/**
+ * Roll which enemy type spawns on a stage
+ * Every archetype that lives in the stage's biome can appear, by its spawn weight
+ *
+ * @param {number} stageLevel - Stage number
+ * @param {SeededRandom} rng - Source of the roll
+ * @returns {string} Archetype id
+ */
+export function rollEnemyArchetype(stageLevel, rng) {
+    const biome = getBiomeForStage(stageLevel);
+    const weights = {};
+    for (const [archetypeId, archetype] of Object.entries(ENEMY_ARCHETYPES)) {
+        weights[archetypeId] = archetype.biomes[biome.id] || 0;
+    }
+    return rng.pickWeighted(weights);
+}
+
+/**
+ * Create an enemy of a given type for a stage
+ *
+ * Enemies get stronger as stage number increases (see BALANCE.enemy):
  * - Health increases by 20% per stage
  * - Attack increases by 15% per stage
  * - Defense increases by 10% per stage
+ * The archetype's stat multipliers are applied on top.
  *
+ * @param {string} archetypeId - Key in ENEMY_ARCHETYPES
  * @param {number} stageLevel - Current stage number (1, 2, 3, ...)
- * @returns {Array<Enemy>} Array of 3 enemies
+ * @param {number} id - Enemy identifier
+ * @returns {Enemy} New enemy
  */
-function createEnemiesForStage(stageLevel) {
-    // Base stats for stage 1
-    const baseHealth = 200;
-    const baseAttack = 25;
-    const baseDefense = 10;
-
-    // Scale stats based on stage (each stage is 20% harder)
-    const healthMultiplier = Math.pow(1.20, stageLevel - 1);
-    const attackMultiplier = Math.pow(1.15, stageLevel - 1);
-    const defenseMultiplier = Math.pow(1.10, stageLevel - 1);
-
-    // Calculate scaled stats
-    const health = Math.floor(baseHealth * healthMultiplier);
-    const attack = Math.floor(baseAttack * attackMultiplier);
-    const defense = Math.floor(baseDefense * defenseMultiplier);
-
-    // Enemy types based on stage
-    const enemyTypes = [
-        'Goblin',    // Stages 1-2
-        'Orc',       // Stages 3-5
-        'Skeleton',  // Stages 6-8
-        'Demon',     // Stages 9-12
-        'Dragon'     // Stages 13+
-    ];
-
-    // Select enemy type based on stage (higher stages = tougher enemies)
-    let enemyType;
-    if (stageLevel <= 2) {
-        enemyType = 'Goblin';
-    } else if (stageLevel <= 5) {
-        enemyType = 'Orc';
-    } else if (stageLevel <= 8) {
-        enemyType = 'Skeleton';
-    } else if (stageLevel <= 12) {
-        enemyType = 'Demon';
-    } else {
-        enemyType = 'Dragon';
-    }
+export function createEnemy(archetypeId, stageLevel, id = 0) {
+    const scaling = BALANCE.enemy;
+    const multipliers = getArchetype(archetypeId).stats;
+
+    // BigNum.pow keeps late stages from overflowing to Infinity
+    const health = BigNum.pow(scaling.healthGrowth, stageLevel - 1)
+        .mul(scaling.baseHealth * (multipliers.health || 1)).floor();
+    const attack = BigNum.pow(scaling.attackGrowth, stageLevel - 1)
+        .mul(scaling.baseAttack * (multipliers.attack || 1)).floor();
+    const defense = BigNum.pow(scaling.defenseGrowth, stageLevel - 1)
+        .mul(scaling.baseDefense * (multipliers.defense || 1)).floor();
+
+    const enemy = new Enemy(id, archetypeId, health, attack, defense);
+    enemy.setSecondaryStats(getEnemySecondaryStats(stageLevel));
 
-    // Create 3 enemies with the same type and stats
-    return [
-        new Enemy(0, enemyType, health, attack, defense),
-        new Enemy(1, enemyType, health, attack, defense),
-        new Enemy(2, enemyType, health, attack, defense)
-    ];
+    return enemy;
+}
+
+/**
+ * Create a random enemy for a stage (type rolled from the stage's biome)
+ *
+ * @param {number} stageLevel - Current stage number
+ * @param {SeededRandom} rng - Source of the type roll
+ * @param {number} id - Enemy identifier
+ * @returns {Enemy} New enemy
+ */
+export function createEnemyForStage(stageLevel, rng, id = 0) {
+    return createEnemy(rollEnemyArchetype(stageLevel, rng), stageLevel, id);
+}
+
+/**
+ * Calculate enemy secondary stats for a stage
+ *
+ * Enemies get sharper as stage number increases:
+ * - Crit chance: 5% + 0.3% per stage (max 30%)
+ * - Crit damage: 150% + 1% per stage
+ * - Dodge: 3% + 0.2% per stage (max 25%)
+ * - Accuracy: 90% + 0.5% per stage (max 110%)
+ *
+ * @param {number} stageLevel - Current stage number
+ * @returns {object} { critChance, critDamage, dodge, accuracy, lifesteal, attackSpeed }
+ */
+export function getEnemySecondaryStats(stageLevel) {
+    const stagesCleared = stageLevel - 1;
+
+    return {
+        critChance: Math.min(0.3, 0.05 + stagesCleared * 0.003),
+        critDamage: 1.5 + stagesCleared * 0.01,
+        dodge: Math.min(0.25, 0.03 + stagesCleared * 0.002),
+        accuracy: Math.min(1.1, 0.9 + stagesCleared * 0.005),
+        lifesteal: 0,
+        attackSpeed: 1
+    };
+}
+
+/**
+ * Create the boss guarding a specific stage
+ *
+ * The boss is the biome's boss type, scaled up from a regular enemy:
+ * - Health x3
+ * - Attack x1.5
+ * - Defense x1.25
+ *
+ * @param {number} stageLevel - Stage the boss guards
+ * @returns {Enemy} The boss enemy
+ */
+export function createBossForStage(stageLevel) {
+    // Start from a regular enemy of this stage so bosses follow the same scaling
+    const template = createEnemy(getBiomeForStage(stageLevel).boss, stageLevel);
+
+    const boss = new Enemy(
+        0,
+        template.archetypeId,
+        template.maxHealth.mul(3).floor(),
+        template.attack.mul(1.5).floor(),
+        template.defense.mul(1.25).floor()
+    );
+    boss.setSecondaryStats(getEnemySecondaryStats(stageLevel));
+    boss.isBoss = true;
+
+    return boss;
 }
 
 /**
  * Calculate gold reward for defeating a stage
  *
  * @param {number} stageLevel - Stage that was completed
- * @returns {number} Gold reward amount
+ * @returns {BigNum} Gold reward amount
  */
-function getStageGoldReward(stageLevel) {
+export function getStageGoldReward(stageLevel) {
     // Formula: 50 * stage * 1.1^stage
     // Stage 1 = 55 gold
     // Stage 5 = 402 gold
     // Stage 10 = 1,297 gold
-    return Math.floor(50 * stageLevel * Math.pow(1.1, stageLevel));
+    const { stageGoldBase, stageGoldGrowth } = BALANCE.economy;
+    return BigNum.pow(stageGoldGrowth, stageLevel).mul(stageGoldBase * stageLevel).floor();
+}
+
+/**
+ * Calculate gold dropped by one horde enemy
+ * Paid for every kill, so stronger parties earn more (online and offline)
+ *
+ * @param {number} stageLevel - Stage the enemy belongs to
+ * @returns {number} Gold per kill
+ */
+export function getEnemyGoldReward(stageLevel) {
+    // Formula: 1 + 1.5 * stage
+    // Stage 1 = 2 gold
+    // Stage 5 = 8 gold
+    // Stage 10 = 16 gold
+    const { killGoldBase, killGoldPerStage } = BALANCE.economy;
+    return Math.floor(killGoldBase + stageLevel * killGoldPerStage);
 }
 
 /**
@@ -167,10 +438,10 @@ function getStageGoldReward(stageLevel) {
  * @param {number} stageLevel - Stage that was completed
  * @returns {number} Gem reward amount
  */
-function getStageGemReward(stageLevel) {
+export function getStageGemReward(stageLevel) {
     // Formula: 2 * stage (gems are rarer than gold)
     // Stage 1 = 2 gems
     // Stage 5 = 10 gems
     // Stage 10 = 20 gems
-    return stageLevel * 2;
+    return stageLevel * BALANCE.economy.stageGemsPerStage;
 }
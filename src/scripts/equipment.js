@@ -0,0 +1,366 @@
+/**
+ * Equipment System
+ *
+ * Items drop from defeated enemies and go into the inventory.
+ * Heroes have three gear slots (weapon, armor, accessory); an equipped item
+ * adds its stats to the hero through the stat modifier stack, tagged with
+ * the item's name so the upgrade modal can show "+6 from Rare Sword".
+ *
+ * Every item has:
+ * - a main stat from its slot (weapon = attack, armor = health, ...)
+ * - random affixes: more and stronger ones at higher rarities
+ */
+
+import { SeededRandom } from './random.js';
+
+/**
+ * Rarity tiers
+ * weight: relative drop chance, affixCount: random bonus stats,
+ * multiplier: scales every stat on the item (and its salvage value)
+ */
+export const ITEM_RARITIES = {
+  common: { name: 'Common', color: '#d1d5db', weight: 60, affixCount: 0, multiplier: 1 },
+  uncommon: { name: 'Uncommon', color: '#10b981', weight: 25, affixCount: 1, multiplier: 1.25 },
+  rare: { name: 'Rare', color: '#3b82f6', weight: 10, affixCount: 2, multiplier: 1.6 },
+  epic: { name: 'Epic', color: '#a855f7', weight: 4, affixCount: 3, multiplier: 2 },
+  legendary: { name: 'Legendary', color: '#f59e0b', weight: 1, affixCount: 4, multiplier: 2.6 }
+};
+
+/**
+ * Gear slots, their item names and main stat
+ * Main stat value = (base + perLevel * itemLevel) * rarity multiplier
+ */
+export const ITEM_SLOTS = {
+  weapon: {
+    names: ['Sword', 'Axe', 'Mace', 'Spear'],
+    mainStat: { stat: 'attack', type: 'flat', base: 3, perLevel: 2 }
+  },
+  armor: {
+    names: ['Chainmail', 'Plate Armor', 'Leather Vest', 'Robe'],
+    mainStat: { stat: 'maxHealth', type: 'flat', base: 30, perLevel: 15 }
+  },
+  accessory: {
+    names: ['Ring', 'Amulet', 'Charm', 'Talisman'],
+    mainStat: { stat: 'defense', type: 'flat', base: 2, perLevel: 1 }
+  }
+};
+
+/**
+ * Random affixes an item can roll (value picked between min and max,
+ * then scaled by rarity)
+ */
+export const ITEM_AFFIXES = [
+  { stat: 'attack', type: 'percentAdd', min: 0.03, max: 0.08 },
+  { stat: 'maxHealth', type: 'percentAdd', min: 0.04, max: 0.1 },
+  { stat: 'defense', type: 'percentAdd', min: 0.04, max: 0.1 },
+  { stat: 'critChance', type: 'flat', min: 0.01, max: 0.03 },
+  { stat: 'critDamage', type: 'flat', min: 0.05, max: 0.15 },
+  { stat: 'dodge', type: 'flat', min: 0.01, max: 0.02 },
+  { stat: 'accuracy', type: 'flat', min: 0.01, max: 0.03 },
+  { stat: 'lifesteal', type: 'flat', min: 0.005, max: 0.02 },
+  { stat: 'attackSpeed', type: 'flat', min: 0.02, max: 0.05 }
+];
+
+/**
+ * Short stat labels for item tooltips
+ */
+export const ITEM_STAT_LABELS = {
+  maxHealth: 'HP',
+  attack: 'ATK',
+  defense: 'DEF',
+  critChance: 'Crit',
+  critDamage: 'Crit DMG',
+  dodge: 'Dodge',
+  accuracy: 'Accuracy',
+  lifesteal: 'Lifesteal',
+  attackSpeed: 'Speed'
+};
+
+/**
+ * Stats whose flat values are fractions (shown as percentages)
+ */
+export const ITEM_FRACTION_STATS = [
+  'critChance',
+  'critDamage',
+  'dodge',
+  'accuracy',
+  'lifesteal',
+  'attackSpeed'
+];
+
+/**
+ * Drop chance per defeated enemy (bosses always drop)
+ */
+export const ITEM_DROP_CHANCE = 0.05;
+
+/**
+ * Equipment - A single piece of gear
+ */
+export class Equipment {
+  /**
+   * @param {string} id - Unique item ID
+   * @param {string} name - Display name (also the modifier source tag)
+   * @param {string} slot - 'weapon', 'armor' or 'accessory'
+   * @param {string} rarity - Key in ITEM_RARITIES
+   * @param {number} itemLevel - Stage the item dropped on
+   * @param {Array<object>} stats - Stat modifiers: { stat, type, value }
+   */
+  constructor(id, name, slot, rarity, itemLevel, stats) {
+    this.id = id;
+    this.name = name;
+    this.slot = slot;
+    this.rarity = rarity;
+    this.itemLevel = itemLevel;
+    this.stats = stats;
+  }
+
+  /**
+   * Get the item's stats as modifiers tagged with the item's name
+   * @returns {Array<object>} Modifiers for Hero.addModifier
+   */
+  getModifiers() {
+    return this.stats.map(stat => ({
+      stat: stat.stat,
+      type: stat.type,
+      value: stat.value,
+      source: this.name
+    }));
+  }
+
+  /**
+   * Get the rarity's display color
+   * @returns {string} Hex color
+   */
+  getColor() {
+    return ITEM_RARITIES[this.rarity].color;
+  }
+
+  /**
+   * Gold received for salvaging this item
+   * Formula: 10 * itemLevel * rarity multiplier
+   * @returns {number} Gold value
+   */
+  getSalvageValue() {
+    return Math.floor(10 * this.itemLevel * ITEM_RARITIES[this.rarity].multiplier);
+  }
+
+  /**
+   * Describe the item's stats for display (e.g. "+6 ATK", "+5.0% HP")
+   * @returns {Array<string>} One line per stat
+   */
+  describeStats() {
+    return this.stats.map(stat => {
+      const label = ITEM_STAT_LABELS[stat.stat] || stat.stat;
+      const isPercent =
+        stat.type !== 'flat' || ITEM_FRACTION_STATS.includes(stat.stat);
+      const value = isPercent
+        ? `${(stat.value * 100).toFixed(1)}%`
+        : Math.floor(stat.value);
+      return `+${value} ${label}`;
+    });
+  }
+
+  /**
+   * Serialize item for saving
+   * @returns {object} Item data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      slot: this.slot,
+      rarity: this.rarity,
+      itemLevel: this.itemLevel,
+      stats: this.stats
+    };
+  }
+
+  /**
+   * Create an item from saved data
+   * @param {object} data - Saved item data
+   * @returns {Equipment} Reconstructed item
+   */
+  static fromJSON(data) {
+    return new Equipment(
+      data.id,
+      data.name,
+      data.slot,
+      data.rarity,
+      data.itemLevel,
+      data.stats || []
+    );
+  }
+}
+
+/**
+ * Inventory - Items the player owns but hasn't equipped
+ */
+export class Inventory {
+  constructor(maxSize = 50) {
+    this.items = [];
+    this.maxSize = maxSize;
+  }
+
+  /**
+   * Add an item
+   * @param {Equipment} item - Item to add
+   * @returns {boolean} True if added, false if the inventory is full
+   */
+  add(item) {
+    if (this.isFull()) {
+      return false;
+    }
+    this.items.push(item);
+    return true;
+  }
+
+  /**
+   * Remove an item by ID
+   * @param {string} itemId - Item ID
+   * @returns {Equipment|null} The removed item, or null if not found
+   */
+  remove(itemId) {
+    const index = this.items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      return null;
+    }
+    return this.items.splice(index, 1)[0];
+  }
+
+  /**
+   * Get an item by ID
+   * @param {string} itemId - Item ID
+   * @returns {Equipment|null} The item or null
+   */
+  get(itemId) {
+    return this.items.find(item => item.id === itemId) || null;
+  }
+
+  /**
+   * Check if the inventory is full
+   * @returns {boolean} True if no space is left
+   */
+  isFull() {
+    return this.items.length >= this.maxSize;
+  }
+
+  /**
+   * Get all items
+   * @returns {Array<Equipment>} Items
+   */
+  getItems() {
+    return this.items;
+  }
+
+  /**
+   * Serialize inventory for saving
+   * @returns {Array<object>} Item data
+   */
+  toJSON() {
+    return this.items.map(item => item.toJSON());
+  }
+
+  /**
+   * Load inventory from saved data
+   * @param {Array<object>} data - Saved item data
+   */
+  fromJSON(data) {
+    this.items = (data || []).map(itemData => Equipment.fromJSON(itemData));
+  }
+}
+
+/**
+ * Pick a random rarity using the ITEM_RARITIES weights
+ *
+ * @param {SeededRandom} rng - Source of the roll
+ * @returns {string} Rarity key
+ */
+export function rollItemRarity(rng) {
+  const rarities = Object.keys(ITEM_RARITIES);
+  const totalWeight = rarities.reduce(
+    (sum, key) => sum + ITEM_RARITIES[key].weight,
+    0
+  );
+
+  let roll = rng.next() * totalWeight;
+  for (const key of rarities) {
+    roll -= ITEM_RARITIES[key].weight;
+    if (roll < 0) {
+      return key;
+    }
+  }
+  return rarities[0];
+}
+
+/**
+ * Create a random item
+ *
+ * @param {number} itemLevel - Item level (the stage it dropped on)
+ * @param {string} rarity - Rarity key (random if not given)
+ * @param {string} slot - Gear slot (random if not given)
+ * @param {SeededRandom} rng - Source of the rolls (a randomly seeded one if not given)
+ * @returns {Equipment} New item
+ */
+export function createRandomItem(itemLevel, rarity, slot, rng = new SeededRandom()) {
+  const itemSlot = slot || rng.pick(Object.keys(ITEM_SLOTS));
+  const itemRarity = rarity || rollItemRarity(rng);
+
+  const slotData = ITEM_SLOTS[itemSlot];
+  const rarityData = ITEM_RARITIES[itemRarity];
+  const baseName = rng.pick(slotData.names);
+
+  // Main stat grows with item level
+  const main = slotData.mainStat;
+  const stats = [
+    {
+      stat: main.stat,
+      type: main.type,
+      value: Math.floor((main.base + main.perLevel * itemLevel) * rarityData.multiplier)
+    }
+  ];
+
+  // Random affixes, no stat rolled twice
+  const affixPool = ITEM_AFFIXES.slice();
+  for (let i = 0; i < rarityData.affixCount && affixPool.length > 0; i++) {
+    const affix = affixPool.splice(rng.int(affixPool.length), 1)[0];
+    const roll = rng.range(affix.min, affix.max);
+
+    stats.push({
+      stat: affix.stat,
+      type: affix.type,
+      value: Math.round(roll * rarityData.multiplier * 1000) / 1000
+    });
+  }
+
+  // Ids only need to be unique, so they stay out of the seeded sequence
+  const id = `item_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  const name = `${rarityData.name} ${baseName}`;
+
+  return new Equipment(id, name, itemSlot, itemRarity, itemLevel, stats);
+}
+
+/**
+ * Roll for an item drop from a defeated enemy
+ *
+ * @param {number} stageLevel - Current stage
+ * @param {boolean} isBoss - Bosses always drop, with at least rare rarity
+ * @param {SeededRandom} rng - Source of the rolls (a randomly seeded one if not given)
+ * @param {object} lootTable - The enemy type's loot ({ dropChance, slots: slot weights });
+ *   without one, any slot drops at ITEM_DROP_CHANCE
+ * @returns {Equipment|null} Dropped item, or null for no drop
+ */
+export function rollItemDrop(stageLevel, isBoss = false, rng = new SeededRandom(), lootTable = null) {
+  const dropChance = lootTable ? lootTable.dropChance : ITEM_DROP_CHANCE;
+  const rollSlot = () => (lootTable ? rng.pickWeighted(lootTable.slots) : undefined);
+
+  if (isBoss) {
+    const rarity = rollItemRarity(rng);
+    const bossRarity = ['common', 'uncommon'].includes(rarity) ? 'rare' : rarity;
+    return createRandomItem(stageLevel, bossRarity, rollSlot(), rng);
+  }
+
+  if (!rng.chance(dropChance)) {
+    return null;
+  }
+  return createRandomItem(stageLevel, undefined, rollSlot(), rng);
+}
@@ -2,32 +2,131 @@
  * Main Game Controller
  *
  * This is the "brain" of the game - it controls everything:
- * - Game loop (updates 60 times per second)
+ * - Game loop (renders every frame, simulates in fixed SIMULATION_TICK_MS steps)
  * - Coordinates all systems (battle, resources, UI, storage)
  * - Handles user input (button clicks)
  *
  * Learning Note: This is where everything comes together!
  */
 
+import { currentNumberNotation, formatNumber, setNumberNotation } from './bigNumber.js';
+import { SeededRandom } from './random.js';
+import { AssetManager } from './assetManager.js';
+import { Inventory } from './equipment.js';
+import { MAX_PARTY_SIZE, createStartingHeroes, getPartyFromRoster } from './hero.js';
+import { getStageGoldReward, getEnemyGoldReward, getStageGemReward, getBiomeForStage } from './enemy.js';
+import { SkillManager } from './skills.js';
+import { SkillAI } from './skillAI.js';
+import { AdventureLog } from './adventureLog.js';
+import { ResourceManager } from './resources.js';
+import {
+  HERO_RARITIES,
+  HERO_POOL,
+  SUMMON_COST,
+  SUMMON_MULTI_COST,
+  SummonManager
+} from './summoning.js';
+import { PRESTIGE_UPGRADES, PrestigeManager } from './prestige.js';
+import { migrateSaveState } from './saveMigrations.js';
+import {
+  StorageManager,
+  createSaveState,
+  loadHeroesFromSave,
+  loadResourcesFromSave,
+  loadInventoryFromSave,
+  loadSummoningFromSave,
+  loadAfkChestFromSave,
+  loadPrestigeFromSave,
+  loadRandomFromSave,
+  loadStageFromSave
+} from './storage.js';
+import {
+  exportSaveString,
+  importSaveString,
+  getSavePreview,
+  downloadSaveFile
+} from './saveTransfer.js';
+import {
+  CLOUD_SYNC_SETTINGS_KEY,
+  CLOUD_SYNC_INTERVAL_MINUTES,
+  CLOUD_SYNC_ID_PATTERN,
+  CloudSyncManager
+} from './cloudSync.js';
+import { SIMULATION_TICK_MS, BattleManager } from './battle.js';
+import { AFK_CHEST_UPGRADES, AfkChest } from './afkChest.js';
+import { UIManager } from './ui.js';
+
+/**
+ * Longest frame the loop simulates normally
+ * Longer gaps (hidden tab, throttled timers) are fast-forwarded by catchUp()
+ */
+const MAX_FRAME_DELTA_MS = 250;
+
+/**
+ * Most game time a catch-up may simulate after the tab was hidden or throttled
+ * The rest of the gap is estimated into the AFK chest, like time with the tab closed
+ */
+const CATCH_UP_MAX_MS = 15 * 60 * 1000;
+
+/**
+ * Gaps at least this long show the "while you were away" summary
+ */
+const AWAY_SUMMARY_MIN_MS = 10000;
+
 class Game {
   constructor() {
+    // One seeded RNG for every gameplay roll (its seed is saved)
+    this.rng = new SeededRandom();
+
     // Initialize all managers
     this.assetManager = new AssetManager();
-    this.battleManager = new BattleManager();
+    this.battleManager = new BattleManager(this.rng);
     this.resourceManager = new ResourceManager();
     this.storageManager = new StorageManager();
     this.uiManager = new UIManager('battle-canvas');
+    this.adventureLog = new AdventureLog();
+    this.inventory = new Inventory();
+    this.summonManager = new SummonManager(this.rng);
+    this.afkChest = new AfkChest();
+    this.prestigeManager = new PrestigeManager();
+
+    // Battle events (combat, skills, status effects) go to the adventure log
+    this.battleManager.adventureLog = this.adventureLog;
+
+    // Boss fights report their result back to the game
+    this.battleManager.onBattleEnd = result => this.handleBattleEnd(result);
+
+    // Save migrations applied on load are reported in the adventure log
+    this.storageManager.adventureLog = this.adventureLog;
+
+    // Gear dropped by defeated enemies goes into the inventory
+    this.battleManager.onItemDrop = item => this.handleItemDrop(item);
+    this.battleManager.onEnemyDefeated = () => this.handleEnemyDefeated();
 
     // Game state
-    this.heroes = null; // Single hero in horde mode
+    this.roster = []; // Every hero the player owns
+    this.heroes = []; // Active party (roster heroes marked inParty)
+    this.skillManagers = new Map(); // Party hero -> SkillManager
+    this.selectedHeroId = null; // Hero shown in the inventory modal
+    this.lastSummonResults = []; // Shown in the summon modal
+    this.exportString = ''; // Last created save export
+    this.pendingImport = null; // Checked save waiting for the player to confirm
     this.currentStage = 1;
     this.isRunning = false;
 
     // Timing
     this.lastFrameTime = Date.now();
+    this.simulationAccumulator = 0; // Game time waiting to be simulated (< one tick after each frame)
+    this.renderAlpha = 1; // Leftover fraction of a tick, for interpolated rendering
     this.lastSaveTime = Date.now();
     this.saveInterval = 30000; // Auto-save every 30 seconds
 
+    // Optional cloud sync (settings are stored per save slot)
+    this.cloudSync = new CloudSyncManager();
+    this.cloudSyncInProgress = false;
+    this.lastCloudSyncTime = Date.now();
+    this.cloudSyncStatus = '';
+
     // Game speed multiplier (1 = normal, 2 = double, 4 = quad)
     this.speedMultiplier = 1;
 
@@ -42,21 +141,59 @@ class Game {
     try {
       // Load all assets
       await this.assetManager.loadAll();
-
-      // Assets loaded, now initialize game
-      this.init();
     } catch (error) {
       console.error('Failed to load assets:', error);
       // Start game anyway with fallback rendering
-      this.init();
     }
+
+    // Move old saves into the storage backend, restore the last played slot
+    await this.storageManager.init();
+
+    // Assets loaded, now pick a save slot (which initializes the game)
+    await this.showSlotPicker();
+  }
+
+  /**
+   * Let the player pick a save slot on the loading screen
+   * New players (no slots yet) go straight into the game
+   */
+  async showSlotPicker() {
+    const slots = await this.storageManager.getSlots();
+    if (slots.length === 0) {
+      await this.init();
+      return;
+    }
+
+    // Ignore further clicks once a slot was picked (storage calls are async)
+    let starting = false;
+
+    this.uiManager.showSlotPicker(slots, this.storageManager.activeSlot, {
+      onPlay: async slotId => {
+        if (starting) return;
+        starting = true;
+        await this.storageManager.setActiveSlot(slotId);
+        await this.init();
+      },
+      onCreate: async name => {
+        if (starting) return;
+        starting = true;
+        const slot = await this.storageManager.createSlot(name);
+        await this.storageManager.setActiveSlot(slot.id);
+        await this.init();
+      },
+      onDelete: async slotId => {
+        if (starting) return;
+        await this.storageManager.deleteSlot(slotId);
+        await this.showSlotPicker();
+      }
+    });
   }
 
   /**
    * Initialize the game
    * Loads save data or creates new game
    */
-  init() {
+  async init() {
     console.log('Initializing Bartimaeus Idle RPG...');
 
     // Hide loading screen and show main game UI
@@ -65,9 +202,11 @@ class Game {
     const gameWrapper = document.getElementById('game-wrapper');
     if (gameWrapper) gameWrapper.style.display = 'grid';
     this.uiManager.resizeCanvas();
+    this.adventureLog.init();
 
-    // Try to load saved game
-    const saveState = this.storageManager.loadGame();
+    // Try to load saved game (a newer cloud save replaces it)
+    await this.loadCloudSyncSettings();
+    const saveState = await this.syncOnStartup(await this.storageManager.loadGame());
 
     if (saveState) {
       // Load from save
@@ -76,12 +215,23 @@ class Game {
       // Check for offline earnings (AFK rewards)
       this.checkOfflineEarnings(saveState);
     } else {
+      // A save that can't be loaded is left untouched (saving stays blocked)
+      if (this.storageManager.loadError) {
+        alert(
+          `Your save could not be loaded and will not be overwritten:\n${this.storageManager.loadError}`
+        );
+      }
+
       // New game - create starting heroes
-      this.heroes = createStartingHeroes();
+      this.roster = createStartingHeroes();
+      this.heroes = getPartyFromRoster(this.roster);
       this.currentStage = 1;
       this.resourceManager.updateIdleRates(this.currentStage);
     }
 
+    // Give the party their skills and let the AI cast them
+    this.setupSkills();
+
     // Set up UI event listeners
     this.setupEventListeners();
 
@@ -103,38 +253,148 @@ class Game {
    * @param {object} saveState - Saved game data
    */
   loadGameState(saveState) {
-    this.heroes = loadHeroesFromSave(saveState);
+    this.roster = loadHeroesFromSave(saveState);
+    this.heroes = getPartyFromRoster(this.roster);
     this.currentStage = loadStageFromSave(saveState);
     loadResourcesFromSave(saveState, this.resourceManager);
+    loadInventoryFromSave(saveState, this.inventory);
+    loadSummoningFromSave(saveState, this.summonManager);
+    loadAfkChestFromSave(saveState, this.afkChest);
+    loadPrestigeFromSave(saveState, this.prestigeManager);
+    loadRandomFromSave(saveState, this.rng);
+    this.applyPrestigeBonuses();
+  }
+
+  /**
+   * Apply the permanent prestige upgrades: hero attack, gold multiplier
+   * (and the idle rates that depend on it) and AFK chest capacity
+   * Bonuses aren't saved - they are re-applied on load and after changes
+   */
+  applyPrestigeBonuses() {
+    this.roster.forEach(hero => this.prestigeManager.applyToHero(hero));
+    this.resourceManager.goldMultiplier = this.prestigeManager.getGoldMultiplier();
     this.resourceManager.updateIdleRates(this.currentStage);
+    this.afkChest.bonusHours = this.prestigeManager.getBonus('offline');
+  }
+
+  /**
+   * Create each party hero's skill manager and auto-cast AI
+   * and hand them to the battle manager
+   */
+  setupSkills() {
+    this.skillManagers.clear();
+    this.battleManager.clearHeroSkills();
+
+    this.heroes.forEach(hero => {
+      const skillManager = new SkillManager(hero, this.rng);
+      this.skillManagers.set(hero, skillManager);
+      this.battleManager.setHeroSkills(
+        hero,
+        skillManager,
+        new SkillAI(hero, skillManager)
+      );
+
+      // Attach loaded icons (skill_fireball, skill_cleave, skill_heal)
+      skillManager.getSkills().forEach(skill => {
+        skill.icon = this.assetManager.get('ui', `skill_${skill.id}`);
+      });
+    });
+
+    this.uiManager.buildSkillBar(
+      this.getSkillBarEntries(),
+      (heroId, skillId) => this.useSkill(heroId, skillId),
+      (heroId, skillId) => this.toggleSkillAutoCast(heroId, skillId)
+    );
   }
 
   /**
-   * Check for offline earnings and show AFK rewards
+   * Get every party skill in skill bar (and hotkey) order
+   *
+   * @returns {Array<{hero: Hero, skill: Skill}>} Party skills
+   */
+  getSkillBarEntries() {
+    const entries = [];
+    this.heroes.forEach(hero => {
+      const skillManager = this.skillManagers.get(hero);
+      if (!skillManager) return;
+      skillManager.getSkills().forEach(skill => {
+        entries.push({ hero: hero, skill: skill });
+      });
+    });
+    return entries;
+  }
+
+  /**
+   * Find an owned hero by ID
+   *
+   * @param {number} heroId - Hero ID
+   * @returns {Hero|null} The hero or null
+   */
+  getHeroById(heroId) {
+    return this.roster.find(hero => hero.id === heroId) || null;
+  }
+
+  /**
+   * Cast a skill manually (skill bar click or number-key hotkey)
+   *
+   * @param {number} heroId - The casting hero
+   * @param {string} skillId - The skill to cast
+   */
+  useSkill(heroId, skillId) {
+    const hero = this.getHeroById(heroId);
+    if (hero) {
+      this.battleManager.castSkill(hero, skillId);
+    }
+  }
+
+  /**
+   * Flip a skill between auto-cast and manual-only
+   *
+   * @param {number} heroId - The hero who owns the skill
+   * @param {string} skillId - The skill to toggle
+   */
+  toggleSkillAutoCast(heroId, skillId) {
+    const hero = this.getHeroById(heroId);
+    const skillAI = hero && this.battleManager.getSkillAI(hero);
+    if (!skillAI) return;
+
+    skillAI.setAutoCast(skillId, !skillAI.isAutoCastEnabled(skillId));
+    this.saveGame();
+  }
+
+  /**
+   * Fill the AFK chest for the time since the last save
+   * The player claims it from the AFK modal, which opens on return
    *
    * @param {object} saveState - Saved game data
    */
   checkOfflineEarnings(saveState) {
     const lastSaveTime = saveState.lastSaveTime || Date.now();
     const currentTime = Date.now();
-    const timeAway = currentTime - lastSaveTime;
+    const timeAway = Math.max(0, currentTime - lastSaveTime);
+
+    // Idle income at the online rates, plus what the party would have killed
+    const added = this.afkChest.fillOffline(
+      timeAway,
+      this.resourceManager,
+      this.heroes,
+      this.currentStage,
+      this.rng
+    );
 
-    // Only show AFK rewards if player was away for more than 1 minute
+    // Only show the chest if player was away for more than 1 minute
     if (timeAway > 60000) {
-      const earnings = this.resourceManager.calculateOfflineEarnings(
-        timeAway,
-        this.currentStage
-      );
+      const timeAwayFormatted = this.resourceManager.formatTime(timeAway / 1000);
 
-      // Add earnings to resources
-      this.resourceManager.addGold(earnings.gold);
-      this.resourceManager.addGems(earnings.gems);
+      this.adventureLog.logStory(
+        `💤 While offline (${timeAwayFormatted}) the party defeated ` +
+          `${added.kills} enemies and found ${added.items} items`
+      );
 
-      // Show AFK rewards popup
       this.uiManager.showAFKRewards(
-        earnings.gold,
-        earnings.gems,
-        earnings.timeAwayFormatted
+        added.filledMs < timeAway
+          ? `You were away for ${timeAwayFormatted} - the chest filled up!`
+          : `You were away for ${timeAwayFormatted}`
       );
     }
   }
@@ -153,6 +413,14 @@ class Game {
       });
     }
 
+    // Clear adventure log button
+    const clearLogBtn = document.getElementById('clear-log-btn');
+    if (clearLogBtn) {
+      clearLogBtn.addEventListener('click', () => {
+        this.adventureLog.clear();
+      });
+    }
+
     // Challenge Stage button
     // Note: The UI element ID 'next-stage-btn' is reused/renamed in UI later
     // or we handle the existing button but treating it as "Challenge Boss"
@@ -170,7 +438,143 @@ class Game {
       document.getElementById('upgrade-stats-btn');
     if (upgradeBtn) {
       upgradeBtn.addEventListener('click', () => {
-        this.upgradeHero();
+        this.openUpgradeModal();
+      });
+    }
+
+    // Inventory button
+    const inventoryBtn = document.getElementById('inventory-btn');
+    if (inventoryBtn) {
+      inventoryBtn.addEventListener('click', () => {
+        this.openInventoryModal();
+      });
+    }
+
+    // Close inventory modal
+    const closeInventoryBtn = document.getElementById('close-inventory');
+    if (closeInventoryBtn) {
+      closeInventoryBtn.addEventListener('click', () => {
+        this.uiManager.toggleInventoryModal(false);
+      });
+    }
+
+    // Summon button and modal
+    const summonBtn = document.getElementById('summon-btn');
+    if (summonBtn) {
+      summonBtn.addEventListener('click', () => {
+        this.openSummonModal();
+      });
+    }
+
+    const summonOneBtn = document.getElementById('summon-one-btn');
+    if (summonOneBtn) {
+      summonOneBtn.addEventListener('click', () => {
+        this.summonHeroes(1);
+      });
+    }
+
+    const summonTenBtn = document.getElementById('summon-ten-btn');
+    if (summonTenBtn) {
+      summonTenBtn.addEventListener('click', () => {
+        this.summonHeroes(10);
+      });
+    }
+
+    const closeSummonBtn = document.getElementById('close-summon');
+    if (closeSummonBtn) {
+      closeSummonBtn.addEventListener('click', () => {
+        this.uiManager.toggleSummonModal(false);
+      });
+    }
+
+    // Save export / import modal
+    const saveDataBtn = document.getElementById('save-data-btn');
+    if (saveDataBtn) {
+      saveDataBtn.addEventListener('click', () => {
+        this.openSaveModal();
+      });
+    }
+
+    const exportSaveBtn = document.getElementById('export-save-btn');
+    if (exportSaveBtn) {
+      exportSaveBtn.addEventListener('click', () => {
+        this.exportSave();
+      });
+    }
+
+    const copySaveBtn = document.getElementById('copy-save-btn');
+    if (copySaveBtn) {
+      copySaveBtn.addEventListener('click', () => {
+        navigator.clipboard.writeText(this.exportString).catch(error => {
+          console.error('Failed to copy save:', error);
+        });
+      });
+    }
+
+    const downloadSaveBtn = document.getElementById('download-save-btn');
+    if (downloadSaveBtn) {
+      downloadSaveBtn.addEventListener('click', () => {
+        downloadSaveFile(this.exportString);
+      });
+    }
+
+    const previewImportBtn = document.getElementById('preview-import-btn');
+    if (previewImportBtn) {
+      previewImportBtn.addEventListener('click', () => {
+        const input = document.getElementById('import-save-text');
+        this.checkImport(input ? input.value : '');
+      });
+    }
+
+    // Importing a file puts its text in the import box and checks it
+    const importFileInput = document.getElementById('import-save-file');
+    if (importFileInput) {
+      importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        if (!file) return;
+
+        const text = await file.text();
+        const input = document.getElementById('import-save-text');
+        if (input) input.value = text;
+        this.checkImport(text);
+      });
+    }
+
+    const confirmImportBtn = document.getElementById('confirm-import-btn');
+    if (confirmImportBtn) {
+      confirmImportBtn.addEventListener('click', () => {
+        this.confirmImport();
+      });
+    }
+
+    const cloudSyncSaveBtn = document.getElementById('cloud-sync-save-btn');
+    if (cloudSyncSaveBtn) {
+      cloudSyncSaveBtn.addEventListener('click', () => {
+        this.applyCloudSyncSettings();
+      });
+    }
+
+    const cloudSyncNowBtn = document.getElementById('cloud-sync-now-btn');
+    if (cloudSyncNowBtn) {
+      cloudSyncNowBtn.addEventListener('click', async () => {
+        await this.applyCloudSyncSettings();
+        if (!this.cloudSync.isConfigured()) return;
+
+        // Save first so the local save being compared is the current game
+        await this.saveGame();
+        const pulled = await this.syncWithCloud();
+        if (pulled) {
+          this.stop();
+          await this.storageManager.replaceSave(pulled);
+          window.location.reload();
+        }
+      });
+    }
+
+    const closeSaveBtn = document.getElementById('close-save');
+    if (closeSaveBtn) {
+      closeSaveBtn.addEventListener('click', () => {
+        this.uiManager.toggleSaveModal(false);
       });
     }
 
@@ -182,14 +586,52 @@ class Game {
       });
     }
 
-    // AFK Rewards button (manual check)
+    // AFK chest button
     const afkRewardsBtn = document.getElementById('afk-rewards-btn');
     if (afkRewardsBtn) {
       afkRewardsBtn.addEventListener('click', () => {
-        // For now, just show current passive income info
-        alert(
-          `Passive Income:\n💰 ${this.resourceManager.goldPerSecond}/sec\n💎 ${this.resourceManager.gemsPerSecond.toFixed(1)}/sec`
-        );
+        this.uiManager.showAFKRewards();
+      });
+    }
+
+    // Claim the AFK chest
+    const claimAfkBtn = document.getElementById('claim-afk');
+    if (claimAfkBtn) {
+      claimAfkBtn.addEventListener('click', () => this.claimAfkChest());
+    }
+
+    // AFK chest upgrades (capacity, yield)
+    Object.keys(AFK_CHEST_UPGRADES).forEach(type => {
+      const upgradeBtn = document.getElementById(`afk-upgrade-${type}`);
+      if (upgradeBtn) {
+        upgradeBtn.addEventListener('click', () => this.upgradeAfkChest(type));
+      }
+    });
+
+    // Prestige modal (reset for essence, permanent upgrades)
+    const prestigeBtn = document.getElementById('prestige-btn');
+    if (prestigeBtn) {
+      prestigeBtn.addEventListener('click', () => {
+        this.uiManager.togglePrestigeModal(true);
+      });
+    }
+
+    const prestigeNowBtn = document.getElementById('prestige-now-btn');
+    if (prestigeNowBtn) {
+      prestigeNowBtn.addEventListener('click', () => this.prestige());
+    }
+
+    Object.keys(PRESTIGE_UPGRADES).forEach(type => {
+      const upgradeBtn = document.getElementById(`prestige-upgrade-${type}`);
+      if (upgradeBtn) {
+        upgradeBtn.addEventListener('click', () => this.upgradePrestige(type));
+      }
+    });
+
+    const closePrestigeBtn = document.getElementById('close-prestige');
+    if (closePrestigeBtn) {
+      closePrestigeBtn.addEventListener('click', () => {
+        this.uiManager.togglePrestigeModal(false);
       });
     }
 
@@ -201,6 +643,39 @@ class Game {
       });
     }
 
+    // Close "while you were away" modal
+    const closeAwayBtn = document.getElementById('close-away');
+    if (closeAwayBtn) {
+      closeAwayBtn.addEventListener('click', () => {
+        this.uiManager.hideAwaySummary();
+      });
+    }
+
+    // Fast-forward when a hidden tab comes back
+    document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+
+    // Skill hotkeys: number keys 1-9 cast the matching skill bar slot
+    document.addEventListener('keydown', e => {
+      // Leave keys alone while the player types or picks an option
+      const target = e.target;
+      if (
+        target instanceof HTMLInputElement ||
+        target instanceof HTMLTextAreaElement ||
+        target instanceof HTMLSelectElement ||
+        (target instanceof HTMLElement && target.isContentEditable)
+      ) {
+        return;
+      }
+
+      const slot = Number(e.key);
+      if (!Number.isInteger(slot) || slot < 1) return;
+
+      const entry = this.getSkillBarEntries()[slot - 1];
+      if (entry) {
+        this.useSkill(entry.hero.id, entry.skill.id);
+      }
+    });
+
     // Speed control buttons (1x, 2x, 4x)
     const speedButtons = document.querySelectorAll(
       '#speed-controls .speed-btn'
@@ -235,6 +710,26 @@ class Game {
         // ignore localStorage errors
       }
     }
+
+    // Number format setting (suffix or scientific)
+    const numberFormatSelect = document.getElementById('number-format-select');
+    if (numberFormatSelect) {
+      try {
+        setNumberNotation(localStorage.getItem('numberFormat') || 'suffix');
+      } catch (err) {
+        // ignore localStorage errors
+      }
+      numberFormatSelect.value = currentNumberNotation;
+
+      numberFormatSelect.addEventListener('change', e => {
+        setNumberNotation(e.currentTarget.value);
+        try {
+          localStorage.setItem('numberFormat', currentNumberNotation);
+        } catch (err) {}
+
+        this.updateUI();
+      });
+    }
   }
 
   /**
@@ -242,11 +737,12 @@ class Game {
    */
   start() {
     this.isRunning = true;
+    this.lastFrameTime = Date.now(); // Time on the loading screen isn't "away"
     this.gameLoop();
   }
 
   /**
-   * Main game loop - runs 60 times per second
+   * Main game loop - runs once per animation frame
    * This is the heart of the game!
    */
   gameLoop() {
@@ -275,38 +771,286 @@ class Game {
    * @param {number} deltaTime - Time since last update in milliseconds
    */
   update(deltaTime) {
-    // Update battle
-    this.battleManager.update(deltaTime);
+    if (deltaTime > MAX_FRAME_DELTA_MS) {
+      // The tab was hidden or throttled - fast-forward battle and resources together
+      this.catchUp(deltaTime);
+    } else {
+      // Update battle in fixed ticks of game time (speed multiplier = more ticks)
+      this.simulationAccumulator += deltaTime * this.speedMultiplier;
+      this.runSimulationTicks();
 
-    // Update resources (idle generation)
-    this.resourceManager.update(deltaTime);
+      // Idle income fills the AFK chest
+      this.fillAfkChest(deltaTime);
+    }
+
+    // Floating damage numbers are cosmetic - they move in real time
+    this.battleManager.updateDamageNumbers(deltaTime);
 
     // In horde mode, battles are continuous (no battle end checks)
-    // Hero respawns automatically when defeated
+    // The party respawns automatically when everyone is defeated
+    // Boss fights end through battleManager.onBattleEnd -> handleBattleEnd
 
     // Auto-save every 30 seconds
     const currentTime = Date.now();
     if (currentTime - this.lastSaveTime >= this.saveInterval) {
-      this.saveGame();
+      this.saveGame({ isAutosave: true });
       this.lastSaveTime = currentTime;
     }
 
+    // Cloud sync every few minutes (when switched on)
+    const syncInterval = CLOUD_SYNC_INTERVAL_MINUTES * 60 * 1000;
+    if (
+      this.cloudSync.isConfigured() &&
+      currentTime - this.lastCloudSyncTime >= syncInterval
+    ) {
+      this.syncWithCloud();
+    }
+
     // Update UI displays
     this.updateUI();
   }
 
+  /**
+   * Run every whole simulation tick in the accumulator
+   * The remainder carries over to the next frame and sets renderAlpha
+   */
+  runSimulationTicks() {
+    while (this.simulationAccumulator >= SIMULATION_TICK_MS) {
+      this.battleManager.update(SIMULATION_TICK_MS);
+      this.simulationAccumulator -= SIMULATION_TICK_MS;
+    }
+
+    this.renderAlpha = this.simulationAccumulator / SIMULATION_TICK_MS;
+  }
+
+  /**
+   * Fast-forward the battle and idle resources over a long gap
+   * Runs the same fixed ticks as normal play (bounded by CATCH_UP_MAX_MS),
+   * without logging every hit. Time beyond that is credited to the AFK chest
+   * through the offline estimate, so a hidden tab earns as much as a closed one.
+   *
+   * @param {number} elapsedMs - Real time since the last frame
+   * @returns {{timeAway: number, simulated: number, kills: number, gold: BigNum, deaths: number,
+   *   estimated: number, chestGold: number, chestItems: number}}
+   *   Real time away, real time simulated, what the party achieved, and the
+   *   estimated remainder (time, chest gold and items)
+   */
+  catchUp(elapsedMs) {
+    const gameTime = Math.min(elapsedMs * this.speedMultiplier, CATCH_UP_MAX_MS);
+    const realTime = gameTime / this.speedMultiplier;
+
+    const killsBefore = this.battleManager.totalEnemiesDefeated;
+    const wipesBefore = this.battleManager.totalPartyWipes;
+    const goldBefore = this.resourceManager.getGold();
+
+    // Fast-forwarded rounds aren't logged one by one (the summary is)
+    const adventureLog = this.battleManager.adventureLog;
+    this.battleManager.adventureLog = null;
+    this.simulationAccumulator += gameTime;
+    this.runSimulationTicks();
+    this.battleManager.adventureLog = adventureLog;
+
+    this.fillAfkChest(realTime);
+
+    // The rest of the gap is estimated, the same way as closed-tab time
+    const estimated = Math.max(0, elapsedMs - realTime);
+    let offline = { kills: 0, gold: 0, items: 0 };
+    if (estimated > 0) {
+      offline = this.afkChest.fillOffline(
+        estimated,
+        this.resourceManager,
+        this.heroes,
+        this.currentStage,
+        this.rng
+      );
+    }
+
+    // Thousands of hits would otherwise all float up at once
+    this.battleManager.damageNumbers = [];
+
+    const summary = {
+      timeAway: elapsedMs,
+      simulated: realTime,
+      kills: this.battleManager.totalEnemiesDefeated - killsBefore + offline.kills,
+      gold: this.resourceManager.getGold().sub(goldBefore),
+      deaths: this.battleManager.totalPartyWipes - wipesBefore,
+      estimated: estimated,
+      chestGold: offline.gold,
+      chestItems: offline.items
+    };
+
+    if (elapsedMs >= AWAY_SUMMARY_MIN_MS) {
+      const timeAway = this.resourceManager.formatTime(elapsedMs / 1000);
+      const chestText = estimated > 0
+        ? ` (+${formatNumber(summary.chestGold)} gold and ${summary.chestItems} items in the AFK chest)`
+        : '';
+      this.adventureLog.logStory(
+        `⏩ While you were away (${timeAway}): ${summary.kills} enemies defeated, ` +
+          `${summary.gold} gold earned${chestText}, ${summary.deaths} party defeats`
+      );
+      this.uiManager.showAwaySummary(
+        summary,
+        timeAway,
+        this.resourceManager.formatTime(realTime / 1000)
+      );
+    }
+
+    return summary;
+  }
+
+  /**
+   * Add idle income to the AFK chest
+   *
+   * @param {number} deltaTime - Real time passed in milliseconds
+   */
+  fillAfkChest(deltaTime) {
+    this.afkChest.fill(
+      deltaTime,
+      this.resourceManager.goldPerSecond,
+      this.resourceManager.gemsPerSecond
+    );
+  }
+
+  /**
+   * Empty the AFK chest into resources and the inventory
+   * Items that don't fit in the inventory are salvaged
+   */
+  claimAfkChest() {
+    if (!this.afkChest.hasRewards()) return;
+
+    const contents = this.afkChest.claim();
+    let salvageGold = 0;
+    contents.items.forEach(item => {
+      if (!this.inventory.add(item)) {
+        salvageGold += item.getSalvageValue();
+      }
+    });
+
+    this.resourceManager.addGold(contents.gold + salvageGold);
+    this.resourceManager.addGems(contents.gems);
+    this.adventureLog.logLoot('gold from the AFK chest', contents.gold + salvageGold);
+
+    this.uiManager.hideAFKRewards();
+    this.refreshInventoryModal();
+    this.updateUI();
+    this.saveGame();
+  }
+
+  /**
+   * Buy an AFK chest upgrade with gems
+   *
+   * @param {string} type - Key in AFK_CHEST_UPGRADES
+   */
+  upgradeAfkChest(type) {
+    const result = this.afkChest.upgrade(type, this.resourceManager);
+    if (!result.ok) {
+      alert(result.error);
+      return;
+    }
+
+    this.updateUI();
+    this.saveGame();
+  }
+
+  /**
+   * Reset the run for essence: stage 1, every hero back to level 1,
+   * starting gold. Only from idle battles (not mid boss fight)
+   */
+  prestige() {
+    if (this.battleManager.battleMode !== 'IDLE') {
+      alert('Finish the boss fight first!');
+      return;
+    }
+
+    const essence = this.prestigeManager.getEssenceReward(this.currentStage);
+    if (
+      this.prestigeManager.canPrestige(this.currentStage) &&
+      !confirm(`Prestige for ${essence} essence? Your stage, hero levels and gold will reset.`)
+    ) {
+      return;
+    }
+
+    const result = this.prestigeManager.prestige(this.currentStage);
+    if (!result.ok) {
+      alert(result.error);
+      return;
+    }
+
+    this.currentStage = 1;
+    this.roster.forEach(hero => {
+      hero.level = 1;
+      hero.heal();
+    });
+    this.resourceManager.resetGold();
+    this.applyPrestigeBonuses();
+
+    this.battleManager.startBattle(this.heroes, this.currentStage, 'IDLE');
+    this.adventureLog.logStory(
+      `🔮 Prestige #${this.prestigeManager.totalPrestiges}! Gained ${result.essence} essence - back to stage 1`
+    );
+
+    this.uiManager.togglePrestigeModal(false);
+    this.updateUI();
+    this.saveGame();
+  }
+
+  /**
+   * Buy a permanent prestige upgrade with essence
+   *
+   * @param {string} type - Key in PRESTIGE_UPGRADES
+   */
+  upgradePrestige(type) {
+    const result = this.prestigeManager.upgrade(type);
+    if (!result.ok) {
+      alert(result.error);
+      return;
+    }
+
+    this.applyPrestigeBonuses();
+    this.updateUI();
+    this.saveGame();
+  }
+
+  /**
+   * Catch up as soon as a hidden tab becomes visible again
+   * (requestAnimationFrame doesn't run while the tab is hidden)
+   */
+  handleVisibilityChange() {
+    if (document.hidden || !this.isRunning) {
+      return;
+    }
+
+    const currentTime = Date.now();
+    const elapsed = currentTime - this.lastFrameTime;
+    this.lastFrameTime = currentTime;
+
+    if (elapsed > MAX_FRAME_DELTA_MS) {
+      this.catchUp(elapsed);
+      this.updateUI();
+    }
+  }
+
   /**
    * Render everything to screen
    */
   render() {
-    // Render battle canvas
+    // Render battle canvas (health bars blend between the last two ticks)
     this.uiManager.render(
       this.heroes,
       this.battleManager.enemies,
-      this.battleManager.getDamageNumbers()
+      this.battleManager.getDamageNumbers(),
+      this.renderAlpha,
+      this.assetManager.get('backgrounds', getBiomeForStage(this.currentStage).background)
     );
 
-    // In horde mode, battles are continuous (no battle result screen)
+    // Boss fight overlays (horde mode has no result screen)
+    if (this.battleManager.battleMode === 'BOSS') {
+      if (this.battleManager.battleResult) {
+        this.uiManager.drawBattleResult(this.battleManager.battleResult);
+      } else {
+        this.uiManager.drawBossTimer(this.battleManager.getBossTimeSeconds());
+      }
+    }
   }
 
   /**
@@ -319,8 +1063,24 @@ class Game {
       this.currentStage
     );
 
-    // In horde mode, we're always in IDLE mode (no boss fights yet)
-    this.uiManager.updateBattleControls(null, 'IDLE');
+    this.uiManager.updateBattleControls(
+      this.battleManager.battleResult,
+      this.battleManager.battleMode
+    );
+
+    this.uiManager.updateSkillBar(this.getSkillBarEntries(), (hero, skillId) => {
+      const skillAI = this.battleManager.getSkillAI(hero);
+      return skillAI ? skillAI.isAutoCastEnabled(skillId) : false;
+    });
+
+    const formatTime = ms => this.resourceManager.formatTime(ms / 1000);
+    this.uiManager.updateAfkChest(
+      this.afkChest,
+      this.resourceManager.getGems(),
+      `${formatTime(this.afkChest.storedMs)} / ${formatTime(this.afkChest.getCapacityMs())}`
+    );
+
+    this.uiManager.updatePrestige(this.prestigeManager, this.currentStage);
   }
 
   /**
@@ -332,10 +1092,9 @@ class Game {
   handleBattleEnd(result) {
     if (result === 'victory') {
       // Award gold and gems
-      const goldReward = getStageGoldReward(this.currentStage);
+      const goldReward = this.resourceManager.earnGold(getStageGoldReward(this.currentStage));
       const gemReward = getStageGemReward(this.currentStage);
 
-      this.resourceManager.addGold(goldReward);
       this.resourceManager.addGems(gemReward);
 
       console.log(`Victory! Earned ${goldReward} gold and ${gemReward} gems`);
@@ -363,6 +1122,11 @@ class Game {
    * Start a Boss Fight
    */
   startBossFight() {
+    // Only challenge from IDLE mode (not mid-fight or while a result is shown)
+    if (this.battleManager.battleMode === 'BOSS') {
+      return;
+    }
+
     this.battleManager.startBattle(this.heroes, this.currentStage, 'BOSS');
     this.updateUI();
   }
@@ -378,12 +1142,25 @@ class Game {
    * Open the upgrade modal
    */
   openUpgradeModal() {
-    this.uiManager.updateUpgradeModal(this.heroes, heroId => {
-      this.upgradeHero(heroId);
-    });
+    this.refreshUpgradeModal();
     this.uiManager.toggleUpgradeModal(true);
   }
 
+  /**
+   * Re-render the upgrade modal (new levels, costs, stat breakdowns)
+   */
+  refreshUpgradeModal() {
+    this.uiManager.updateUpgradeModal(
+      this.roster,
+      heroId => this.upgradeHero(heroId),
+      {
+        onToggleParty: heroId => this.toggleHeroInParty(heroId),
+        onToggleRow: heroId => this.toggleHeroRow(heroId),
+        canEdit: this.battleManager.battleMode === 'IDLE'
+      }
+    );
+  }
+
   /**
    * Close the upgrade modal
    */
@@ -392,12 +1169,12 @@ class Game {
   }
 
   /**
-   * Upgrade the hero
+   * Upgrade a hero
    *
-   * @param {number} heroId - ID of hero to upgrade (optional, kept for compatibility)
+   * @param {number} heroId - ID of hero to upgrade
    */
   upgradeHero(heroId) {
-    const hero = this.heroes;
+    const hero = this.getHeroById(heroId);
 
     if (!hero) {
       console.error('Hero not found!');
@@ -413,6 +1190,7 @@ class Game {
 
       // Update UI to show new stats
       this.updateUI();
+      this.refreshUpgradeModal();
 
       // Save game
       this.saveGame();
@@ -422,16 +1200,499 @@ class Game {
   }
 
   /**
-   * Save game to LocalStorage
+   * Add a hero to the party or bench them
+   * Only between boss fights; the party keeps at least one hero
+   *
+   * @param {number} heroId - ID of the hero
    */
-  saveGame() {
-    const saveState = createSaveState(
-      this.heroes,
+  toggleHeroInParty(heroId) {
+    const hero = this.getHeroById(heroId);
+    if (!hero || this.battleManager.battleMode !== 'IDLE') return;
+
+    if (hero.inParty) {
+      if (this.heroes.length <= 1) {
+        alert('The party needs at least one hero!');
+        return;
+      }
+      hero.inParty = false;
+    } else {
+      if (this.heroes.length >= MAX_PARTY_SIZE) {
+        alert(`The party is full (max ${MAX_PARTY_SIZE} heroes)!`);
+        return;
+      }
+      hero.inParty = true;
+    }
+
+    this.applyPartyChange();
+  }
+
+  /**
+   * Move a hero between the front and back row
+   *
+   * @param {number} heroId - ID of the hero
+   */
+  toggleHeroRow(heroId) {
+    const hero = this.getHeroById(heroId);
+    if (!hero || this.battleManager.battleMode !== 'IDLE') return;
+
+    hero.row = hero.row === 'front' ? 'back' : 'front';
+    this.applyPartyChange();
+  }
+
+  /**
+   * Rebuild the party after a roster or formation change
+   * and restart the idle fight with the new lineup
+   */
+  applyPartyChange() {
+    this.heroes = getPartyFromRoster(this.roster);
+    this.setupSkills();
+    this.battleManager.startBattle(this.heroes, this.currentStage, 'IDLE');
+
+    this.refreshUpgradeModal();
+    this.refreshInventoryModal();
+    this.saveGame();
+  }
+
+  /**
+   * Open the summon modal
+   */
+  openSummonModal() {
+    this.lastSummonResults = [];
+    this.refreshSummonModal();
+    this.uiManager.toggleSummonModal(true);
+  }
+
+  /**
+   * Re-render the summon modal (pity, results, shards, affordable buttons)
+   */
+  refreshSummonModal() {
+    this.uiManager.updateSummonModal(
+      this.summonManager,
+      this.lastSummonResults,
+      this.resourceManager.getGems()
+    );
+  }
+
+  /**
+   * Spend gems to summon heroes
+   *
+   * @param {number} count - 1 or 10 summons
+   */
+  summonHeroes(count) {
+    const cost = count >= 10 ? SUMMON_MULTI_COST : SUMMON_COST * count;
+    if (!this.resourceManager.spendGems(cost)) {
+      alert('Not enough gems!');
+      return;
+    }
+
+    const results = this.summonManager.summon(this.roster, count);
+    results.forEach(result => {
+      const rarity = HERO_RARITIES[result.rarity];
+      this.adventureLog.logSummon(
+        HERO_POOL[result.templateId].name,
+        rarity.name,
+        rarity.color,
+        result.shards
+      );
+    });
+
+    // New heroes that joined the party start fighting right away;
+    // during a boss fight they wait on the bench instead
+    const newHeroes = results.filter(result => result.hero).map(result => result.hero);
+    newHeroes.forEach(hero => this.prestigeManager.applyToHero(hero));
+    if (this.battleManager.battleMode !== 'IDLE') {
+      newHeroes.forEach(hero => {
+        hero.inParty = false;
+      });
+    } else if (newHeroes.some(hero => hero.inParty)) {
+      this.heroes = getPartyFromRoster(this.roster);
+      this.setupSkills();
+      this.battleManager.startBattle(this.heroes, this.currentStage, 'IDLE');
+    }
+
+    this.lastSummonResults = results;
+    this.refreshSummonModal();
+    this.updateUI();
+    this.saveGame();
+  }
+
+  /**
+   * Open the save export/import modal
+   */
+  openSaveModal() {
+    this.pendingImport = null;
+    this.uiManager.showImportPreview(null);
+    this.uiManager.updateCloudSyncPanel(this.cloudSync, this.cloudSyncStatus);
+    this.uiManager.toggleSaveModal(true);
+  }
+
+  /**
+   * Create an export string of the current game
+   */
+  async exportSave() {
+    const saveState = this.getSaveState();
+
+    try {
+      this.exportString = await exportSaveString(saveState);
+      this.uiManager.showExportString(this.exportString);
+    } catch (error) {
+      console.error('Failed to export save:', error);
+      alert('Could not export the save in this browser.');
+    }
+  }
+
+  /**
+   * Check a pasted or uploaded save and preview it
+   *
+   * @param {string} text - Export string
+   */
+  async checkImport(text) {
+    const result = await importSaveString(text);
+
+    result.applied.forEach(step => {
+      this.adventureLog.logMigration(`Imported save updated to v${step.to}: ${step.description}`);
+    });
+
+    this.pendingImport = result.ok ? result.save : null;
+    this.uiManager.showImportPreview(result);
+  }
+
+  /**
+   * Replace the current save with the checked import and restart
+   */
+  async confirmImport() {
+    if (!this.pendingImport) return;
+
+    // Stop first so the auto-save can't overwrite the imported save
+    this.stop();
+    await this.storageManager.replaceSave(this.pendingImport);
+    window.location.reload();
+  }
+
+  /**
+   * Storage key of the active slot's cloud sync settings
+   *
+   * @returns {string} Setting key
+   */
+  getCloudSyncKey() {
+    return `${CLOUD_SYNC_SETTINGS_KEY}:${this.storageManager.activeSlot}`;
+  }
+
+  /**
+   * Load the active slot's cloud sync settings
+   */
+  async loadCloudSyncSettings() {
+    const settings = await this.storageManager.loadSetting(this.getCloudSyncKey());
+    if (settings) {
+      this.cloudSync.fromJSON(settings);
+    }
+  }
+
+  /**
+   * Store the cloud sync settings (and last synced save time)
+   */
+  async saveCloudSyncSettings() {
+    await this.storageManager.saveSetting(this.getCloudSyncKey(), this.cloudSync.toJSON());
+  }
+
+  /**
+   * Apply the settings typed in the save modal
+   */
+  async applyCloudSyncSettings() {
+    const form = this.uiManager.readCloudSyncPanel();
+    if (form.syncId && !CLOUD_SYNC_ID_PATTERN.test(form.syncId)) {
+      this.cloudSyncStatus = 'Sync ID must be 3-64 letters, numbers, - or _';
+      this.uiManager.updateCloudSyncPanel(this.cloudSync, this.cloudSyncStatus);
+      return;
+    }
+
+    // A different server or ID means we haven't synced with it yet
+    if (form.endpoint !== this.cloudSync.endpoint || form.syncId !== this.cloudSync.syncId) {
+      this.cloudSync.lastSyncedTime = null;
+      this.cloudSync.lastSyncAt = null;
+    }
+
+    this.cloudSync.enabled = form.enabled;
+    this.cloudSync.endpoint = form.endpoint;
+    this.cloudSync.syncId = form.syncId;
+    await this.saveCloudSyncSettings();
+
+    this.cloudSyncStatus = form.enabled ? 'Settings saved' : 'Sync is off';
+    this.uiManager.updateCloudSyncPanel(this.cloudSync, this.cloudSyncStatus);
+  }
+
+  /**
+   * Sync before the game starts, so a newer cloud save is loaded right away
+   *
+   * @param {object|null} saveState - Local save (null for a fresh slot)
+   * @returns {Promise<object|null>} The save to start from
+   */
+  async syncOnStartup(saveState) {
+    if (!this.cloudSync.isConfigured()) {
+      return saveState;
+    }
+
+    // Fresh slot on this machine: start from the cloud save if there is one
+    if (!saveState) {
+      try {
+        const remote = await this.cloudSync.pull();
+        const migration = remote ? migrateSaveState(remote.save) : null;
+        if (migration && migration.ok) {
+          this.cloudSync.markSynced(remote.lastSaveTime);
+          await this.saveCloudSyncSettings();
+          await this.storageManager.replaceSave(migration.save);
+          return migration.save;
+        }
+      } catch (error) {
+        console.error('Cloud sync failed:', error);
+      }
+      return saveState;
+    }
+
+    const pulled = await this.syncWithCloud(saveState);
+    if (pulled) {
+      await this.storageManager.replaceSave(pulled);
+      return pulled;
+    }
+    return saveState;
+  }
+
+  /**
+   * Sync the save with the cloud
+   * Pushes when only the local save changed; conflicts ask the player
+   *
+   * @param {object} localSave - Save to compare (defaults to the current game)
+   * @returns {Promise<object|null>} A newer remote save to load, if one was pulled
+   */
+  async syncWithCloud(localSave = null) {
+    if (!this.cloudSync.isConfigured() || this.cloudSyncInProgress) {
+      return null;
+    }
+
+    this.cloudSyncInProgress = true;
+    this.lastCloudSyncTime = Date.now();
+    let pulled = null;
+
+    try {
+      const local = localSave || this.getSaveState();
+      const result = await this.cloudSync.sync(local);
+
+      if (result.status === 'pushed') {
+        this.cloudSyncStatus = 'Uploaded this save';
+      } else if (result.status === 'up-to-date') {
+        this.cloudSyncStatus = 'Already up to date';
+      } else if (result.status === 'pulled') {
+        const migration = migrateSaveState(result.remote.save);
+        if (migration.ok) {
+          this.cloudSync.markSynced(result.remote.lastSaveTime);
+          this.cloudSyncStatus = 'Downloaded a newer save';
+          pulled = migration.save;
+        } else {
+          this.cloudSyncStatus = `Cloud save not loaded: ${migration.error}`;
+        }
+      } else if (result.status === 'conflict') {
+        this.cloudSyncStatus = 'Conflict - choose a save to keep';
+        this.resolveSyncConflict(local, result.remote);
+      }
+
+      await this.saveCloudSyncSettings();
+    } catch (error) {
+      console.error('Cloud sync failed:', error);
+      this.cloudSyncStatus = `Sync failed: ${error.message}`;
+    } finally {
+      this.cloudSyncInProgress = false;
+    }
+
+    this.uiManager.updateCloudSyncPanel(this.cloudSync, this.cloudSyncStatus);
+    return pulled;
+  }
+
+  /**
+   * Let the player keep the local or the remote save after a conflict
+   *
+   * @param {object} localSave - Local save state
+   * @param {{save: object, lastSaveTime: number}} remote - Remote save
+   */
+  resolveSyncConflict(localSave, remote) {
+    const migration = migrateSaveState(remote.save);
+    if (!migration.ok) {
+      // Nothing to choose - the remote save can't be loaded by this version
+      this.cloudSyncStatus = `Cloud save not loaded: ${migration.error}`;
+      return;
+    }
+
+    this.uiManager.showSyncConflict(
+      getSavePreview(localSave),
+      getSavePreview(migration.save),
+      {
+        onKeepLocal: async () => {
+          try {
+            await this.cloudSync.push(this.getSaveState(), true);
+            await this.saveCloudSyncSettings();
+            this.cloudSyncStatus = 'Kept this save and uploaded it';
+          } catch (error) {
+            this.cloudSyncStatus = `Sync failed: ${error.message}`;
+          }
+          this.uiManager.updateCloudSyncPanel(this.cloudSync, this.cloudSyncStatus);
+        },
+        onKeepRemote: async () => {
+          this.cloudSync.markSynced(remote.lastSaveTime);
+          await this.saveCloudSyncSettings();
+
+          // Restart from the cloud save (like an import)
+          this.stop();
+          await this.storageManager.replaceSave(migration.save);
+          window.location.reload();
+        }
+      }
+    );
+  }
+
+  /**
+   * Get the hero shown in the inventory modal
+   *
+   * @returns {Hero} Selected hero (first party member by default)
+   */
+  getSelectedHero() {
+    return this.getHeroById(this.selectedHeroId) || this.heroes[0] || this.roster[0];
+  }
+
+  /**
+   * Pay the kill bounty for a defeated horde enemy
+   */
+  handleEnemyDefeated() {
+    this.resourceManager.earnGold(getEnemyGoldReward(this.currentStage));
+  }
+
+  /**
+   * Store a dropped item, salvaging it for gold if the inventory is full
+   *
+   * @param {Equipment} item - The dropped item
+   */
+  handleItemDrop(item) {
+    if (!this.inventory.add(item)) {
+      const gold = item.getSalvageValue();
+      this.resourceManager.addGold(gold);
+      this.adventureLog.logLoot(`gold (inventory full, salvaged ${item.name})`, gold);
+    }
+
+    this.refreshInventoryModal();
+  }
+
+  /**
+   * Open the inventory modal
+   */
+  openInventoryModal() {
+    this.refreshInventoryModal();
+    this.uiManager.toggleInventoryModal(true);
+  }
+
+  /**
+   * Re-render the inventory modal (equipped gear and bag contents)
+   */
+  refreshInventoryModal() {
+    this.uiManager.updateInventoryModal(
+      this.getSelectedHero(),
+      this.inventory,
+      {
+        onEquip: itemId => this.equipItem(itemId),
+        onUnequip: slot => this.unequipItem(slot),
+        onSalvage: itemId => this.salvageItem(itemId),
+        onSelectHero: heroId => {
+          this.selectedHeroId = heroId;
+          this.refreshInventoryModal();
+        }
+      },
+      this.roster
+    );
+  }
+
+  /**
+   * Equip an item from the inventory on the selected hero
+   * (the replaced item goes back into it)
+   *
+   * @param {string} itemId - ID of the item to equip
+   */
+  equipItem(itemId) {
+    const item = this.inventory.remove(itemId);
+    if (!item) {
+      return;
+    }
+
+    const previous = this.getSelectedHero().equip(item);
+    if (previous) {
+      this.inventory.add(previous);
+    }
+
+    this.refreshInventoryModal();
+    this.saveGame();
+  }
+
+  /**
+   * Move the selected hero's equipped item back into the inventory
+   *
+   * @param {string} slot - 'weapon', 'armor' or 'accessory'
+   */
+  unequipItem(slot) {
+    if (this.inventory.isFull()) {
+      alert('Inventory is full!');
+      return;
+    }
+
+    const item = this.getSelectedHero().unequip(slot);
+    if (item) {
+      this.inventory.add(item);
+    }
+
+    this.refreshInventoryModal();
+    this.saveGame();
+  }
+
+  /**
+   * Destroy an inventory item for gold
+   *
+   * @param {string} itemId - ID of the item to salvage
+   */
+  salvageItem(itemId) {
+    const item = this.inventory.remove(itemId);
+    if (!item) {
+      return;
+    }
+
+    const gold = item.getSalvageValue();
+    this.resourceManager.addGold(gold);
+    console.log(`Salvaged ${item.name} for ${gold} gold`);
+
+    this.refreshInventoryModal();
+    this.saveGame();
+  }
+
+  /**
+   * Build a save state of the current game
+   *
+   * @returns {object} Save state (see createSaveState)
+   */
+  getSaveState() {
+    return createSaveState(
+      this.roster,
       this.resourceManager,
-      this.currentStage
+      this.currentStage,
+      this.inventory,
+      this.summonManager,
+      this.afkChest,
+      this.prestigeManager,
+      this.rng
     );
+  }
 
-    this.storageManager.saveGame(saveState);
+  /**
+   * Save game through the storage manager (asynchronous)
+   *
+   * @param {object} options - { isAutosave: true from the autosave timer (rotates backups) }
+   * @returns {Promise<boolean>} Resolves true once the save is written
+   */
+  saveGame(options = {}) {
+    return this.storageManager.saveGame(this.getSaveState(), options);
   }
 
   /**
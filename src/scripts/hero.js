@@ -7,7 +7,24 @@
  * Learning Note: This is a JavaScript class - a blueprint for creating hero objects
  */
 
-class Hero {
+import { BigNum } from './bigNumber.js';
+import { BALANCE } from './balance.js';
+import { StatModifiers } from './statModifiers.js';
+import { StatusEffects } from './statusEffects.js';
+import { Equipment } from './equipment.js';
+
+/**
+ * Stats that are rounded down to whole numbers
+ * (the secondary stats are fractions like 0.05 = 5%)
+ */
+export const HERO_WHOLE_NUMBER_STATS = ['maxHealth', 'attack', 'defense'];
+
+/**
+ * Most heroes that can fight at once
+ */
+export const MAX_PARTY_SIZE = 5;
+
+export class Hero {
     /**
      * Constructor - runs when you create a new hero: new Hero(...)
      *
@@ -23,23 +40,41 @@ class Hero {
         this.name = name;
         this.role = role;
 
+        // Hero pool entry (see HERO_POOL in summoning.js) - used to spot duplicates
+        this.templateId = name.toLowerCase();
+
         // Level system
         this.level = 1;
 
+        // Party & formation: Tanks stand in the front row, everyone else in the back
+        this.inParty = true;
+        this.row = role === 'Tank' ? 'front' : 'back';
+
         // Base stats (never change)
         this.baseHealth = baseHealth;
         this.baseAttack = baseAttack;
         this.baseDefense = baseDefense;
 
-        // Current stats (calculated from base + level)
-        this.maxHealth = this.calculateMaxHealth();
+        // Stat bonuses from gear, buffs, talents, prestige, ...
+        // Current stats (maxHealth, attack, defense, critChance, ...) are getters
+        // that run the level formulas through this stack - see getStat()
+        this.modifiers = new StatModifiers();
+
+        // Gear slots - equipped items add their stats as modifiers
+        this.equipment = { weapon: null, armor: null, accessory: null };
+
         this.health = this.maxHealth; // Start at full health
-        this.attack = this.calculateAttack();
-        this.defense = this.calculateDefense();
+        this.attackCharge = 0; // Partial attacks carried between rounds
 
         // Skill system (new for horde mode)
         this.unlockedSkills = ['fireball']; // Default starting skill
 
+        // Auto-cast settings overrides (merged over DEFAULT_SKILL_AI in skillAI.js)
+        this.skillAI = {};
+
+        // Active status effects (burn, poison, stun, shield, slow)
+        this.statusEffects = new StatusEffects();
+
         // Visual properties
         this.color = this.getColorByRole();
         this.x = 0; // Position on canvas (set by UI)
@@ -49,30 +84,167 @@ class Hero {
     /**
      * Calculate max health based on level
      * Formula: baseHealth * (1 + (level - 1) * 0.15)
-     * Each level gives +15% more health
+     * Each level gives +15% more health (BALANCE.hero.healthPerLevel)
      */
     calculateMaxHealth() {
-        return Math.floor(this.baseHealth * (1 + (this.level - 1) * 0.15));
+        return BigNum.from(this.baseHealth)
+            .mul(1 + (this.level - 1) * BALANCE.hero.healthPerLevel)
+            .floor();
     }
 
     /**
      * Calculate attack damage based on level
      * Formula: baseAttack * (1 + (level - 1) * 0.10)
-     * Each level gives +10% more attack
+     * Each level gives +10% more attack (BALANCE.hero.attackPerLevel)
      */
     calculateAttack() {
-        return Math.floor(this.baseAttack * (1 + (this.level - 1) * 0.10));
+        return BigNum.from(this.baseAttack)
+            .mul(1 + (this.level - 1) * BALANCE.hero.attackPerLevel)
+            .floor();
     }
 
     /**
      * Calculate defense based on level
      * Formula: baseDefense * (1 + (level - 1) * 0.08)
-     * Each level gives +8% more defense
+     * Each level gives +8% more defense (BALANCE.hero.defensePerLevel)
      */
     calculateDefense() {
-        return Math.floor(this.baseDefense * (1 + (this.level - 1) * 0.08));
+        return BigNum.from(this.baseDefense)
+            .mul(1 + (this.level - 1) * BALANCE.hero.defensePerLevel)
+            .floor();
+    }
+
+    /**
+     * Calculate secondary combat stats based on level
+     * Each level adds a little to every stat, up to a cap:
+     * - Crit chance: 5% + 0.5% per level (max 50%)
+     * - Crit damage: 150% + 2% per level
+     * - Dodge: 5% + 0.2% per level (max 30%)
+     * - Accuracy: 95% + 0.2% per level (max 120%)
+     * - Lifesteal: 0.2% per level (max 20%)
+     * - Attack speed: 1 + 0.01 per level attacks per round (max 2)
+     *
+     * @returns {object} { critChance, critDamage, dodge, accuracy, lifesteal, attackSpeed }
+     */
+    calculateSecondaryStats() {
+        const levelsGained = this.level - 1;
+
+        return {
+            critChance: Math.min(0.5, 0.05 + levelsGained * 0.005),
+            critDamage: 1.5 + levelsGained * 0.02,
+            dodge: Math.min(0.3, 0.05 + levelsGained * 0.002),
+            accuracy: Math.min(1.2, 0.95 + levelsGained * 0.002),
+            lifesteal: Math.min(0.2, levelsGained * 0.002),
+            attackSpeed: Math.min(2, 1 + levelsGained * 0.01)
+        };
+    }
+
+    /**
+     * Get a stat's value from the level formulas, before any modifiers
+     *
+     * @param {string} stat - Stat name ('maxHealth', 'attack', 'critChance', ...)
+     * @returns {number|BigNum} Base value for the current level (BigNum for health, attack, defense)
+     */
+    getBaseStat(stat) {
+        switch(stat) {
+            case 'maxHealth': return this.calculateMaxHealth();
+            case 'attack': return this.calculateAttack();
+            case 'defense': return this.calculateDefense();
+            default: return this.calculateSecondaryStats()[stat] || 0;
+        }
+    }
+
+    /**
+     * Get a stat's final value (base + all modifiers)
+     * Health, attack and defense are whole BigNums; the rest are plain fractions
+     *
+     * @param {string} stat - Stat name
+     * @returns {number|BigNum} Final stat value
+     */
+    getStat(stat) {
+        const value = this.modifiers.apply(stat, this.getBaseStat(stat));
+        return HERO_WHOLE_NUMBER_STATS.includes(stat) ? value.floor() : value.toNumber();
+    }
+
+    /**
+     * Explain where a stat's value comes from (for the upgrade modal)
+     * e.g. ATK 48 = 42 base + 6 from Sword
+     *
+     * @param {string} stat - Stat name
+     * @returns {{base: number|BigNum, total: number|BigNum, parts: Array<{source: string, amount: BigNum}>}}
+     */
+    getStatBreakdown(stat) {
+        const breakdown = this.modifiers.getBreakdown(stat, this.getBaseStat(stat));
+        breakdown.total = this.getStat(stat);
+        return breakdown;
+    }
+
+    /**
+     * Add a stat modifier, keeping current health within the new max
+     *
+     * @param {object} modifier - { stat, type, value, source } (see StatModifiers.add)
+     * @returns {object|null} The stored modifier
+     */
+    addModifier(modifier) {
+        const added = this.modifiers.add(modifier);
+        this.health = BigNum.min(this.health, this.maxHealth);
+        return added;
+    }
+
+    /**
+     * Remove every modifier from a source, keeping current health within the new max
+     *
+     * @param {string} source - Source tag (e.g. an item name)
+     */
+    removeModifiers(source) {
+        this.modifiers.removeBySource(source);
+        this.health = BigNum.min(this.health, this.maxHealth);
+    }
+
+    /**
+     * Equip an item in its slot
+     *
+     * @param {Equipment} item - Item to equip
+     * @returns {Equipment|null} The item previously in that slot (back to the inventory)
+     */
+    equip(item) {
+        const previous = this.unequip(item.slot);
+
+        this.equipment[item.slot] = item;
+        item.getModifiers().forEach(modifier => this.addModifier(modifier));
+
+        return previous;
+    }
+
+    /**
+     * Take off the item in a slot
+     *
+     * @param {string} slot - 'weapon', 'armor' or 'accessory'
+     * @returns {Equipment|null} The removed item, or null if the slot was empty
+     */
+    unequip(slot) {
+        const item = this.equipment[slot];
+        if (!item) {
+            return null;
+        }
+
+        this.removeModifiers(item.name);
+        this.equipment[slot] = null;
+
+        return item;
     }
 
+    // Current stats - every read goes through the modifier stack
+    get maxHealth() { return this.getStat('maxHealth'); }
+    get attack() { return this.getStat('attack'); }
+    get defense() { return this.getStat('defense'); }
+    get critChance() { return this.getStat('critChance'); }
+    get critDamage() { return this.getStat('critDamage'); }
+    get dodge() { return this.getStat('dodge'); }
+    get accuracy() { return this.getStat('accuracy'); }
+    get lifesteal() { return this.getStat('lifesteal'); }
+    get attackSpeed() { return this.getStat('attackSpeed'); }
+
     /**
      * Get hero color based on their role
      * Tank = Blue, Damage = Red, Support = Green
@@ -89,22 +261,21 @@ class Hero {
     /**
      * Take damage from an enemy attack
      *
-     * @param {number} damage - Amount of damage to take
-     * @returns {number} Actual damage taken (after defense)
+     * @param {number|BigNum} damage - Amount of damage to take
+     * @returns {BigNum} Actual damage taken (after defense)
      */
     takeDamage(damage) {
         // Defense reduces damage by 50% of defense value
-        const reduction = this.defense * 0.5;
-        const actualDamage = Math.max(1, damage - reduction); // Minimum 1 damage
+        const reduction = this.defense.mul(0.5);
+        const reducedDamage = BigNum.max(1, BigNum.from(damage).sub(reduction)); // Minimum 1 damage
 
-        this.health -= actualDamage;
+        // An active shield soaks up damage first
+        const actualDamage = this.statusEffects.absorb(reducedDamage);
 
         // Health can't go below 0
-        if (this.health < 0) {
-            this.health = 0;
-        }
+        this.health = BigNum.max(0, this.health.sub(actualDamage));
 
-        return Math.floor(actualDamage);
+        return actualDamage.floor();
     }
 
     /**
@@ -113,7 +284,7 @@ class Hero {
      * @returns {boolean} True if health > 0
      */
     isAlive() {
-        return this.health > 0;
+        return this.health.gt(0);
     }
 
     /**
@@ -129,27 +300,24 @@ class Hero {
      * Recalculates all stats based on new level
      */
     upgrade() {
-        this.level++;
-
-        // Recalculate stats
+        // Stats are recalculated from the new level on every read
         const oldMaxHealth = this.maxHealth;
-        this.maxHealth = this.calculateMaxHealth();
-        this.attack = this.calculateAttack();
-        this.defense = this.calculateDefense();
+        this.level++;
 
         // Increase current health by the same amount max health increased
-        const healthIncrease = this.maxHealth - oldMaxHealth;
-        this.health += healthIncrease;
+        const healthIncrease = this.maxHealth.sub(oldMaxHealth);
+        this.health = this.health.add(healthIncrease);
     }
 
     /**
      * Calculate cost to upgrade this hero
-     * Formula: 100 * level^1.5 (gets more expensive each level)
+     * Formula: 100 * level^1.5 (gets more expensive each level - see BALANCE.hero)
      *
      * @returns {number} Gold cost to upgrade
      */
     getUpgradeCost() {
-        return Math.floor(100 * Math.pow(this.level, 1.5));
+        const { upgradeCostBase, upgradeCostExponent } = BALANCE.hero;
+        return Math.floor(upgradeCostBase * Math.pow(this.level, upgradeCostExponent));
     }
 
     /**
@@ -158,7 +326,7 @@ class Hero {
      * @returns {number} Value between 0 and 1
      */
     getHealthPercent() {
-        return this.health / this.maxHealth;
+        return this.health.div(this.maxHealth).toNumber();
     }
 
     /**
@@ -192,11 +360,20 @@ class Hero {
             id: this.id,
             name: this.name,
             role: this.role,
+            templateId: this.templateId,
             level: this.level,
+            inParty: this.inParty,
+            row: this.row,
             baseHealth: this.baseHealth,
             baseAttack: this.baseAttack,
             baseDefense: this.baseDefense,
-            unlockedSkills: this.unlockedSkills
+            unlockedSkills: this.unlockedSkills,
+            skillAI: this.skillAI,
+            equipment: {
+                weapon: this.equipment.weapon ? this.equipment.weapon.toJSON() : null,
+                armor: this.equipment.armor ? this.equipment.armor.toJSON() : null,
+                accessory: this.equipment.accessory ? this.equipment.accessory.toJSON() : null
+            }
         };
     }
 
@@ -216,27 +393,59 @@ class Hero {
             data.baseDefense
         );
 
-        // Restore level and recalculate stats
+        // Restore level (stats follow from it)
+        // Modifiers aren't saved - the systems that own them re-apply them on load
         hero.level = data.level;
-        hero.maxHealth = hero.calculateMaxHealth();
+        if (data.templateId) hero.templateId = data.templateId;
+
+        // Restore party membership and formation (defaults from the constructor)
+        if (data.inParty !== undefined) hero.inParty = data.inParty;
+        if (data.row) hero.row = data.row;
+
+        // Re-equip saved gear (re-applies its modifiers)
+        const equipment = data.equipment || {};
+        Object.keys(hero.equipment).forEach(slot => {
+            if (equipment[slot]) {
+                hero.equip(Equipment.fromJSON(equipment[slot]));
+            }
+        });
+
+        // Start at full health
         hero.health = hero.maxHealth;
-        hero.attack = hero.calculateAttack();
-        hero.defense = hero.calculateDefense();
 
         // Restore unlocked skills
         hero.unlockedSkills = data.unlockedSkills || ['fireball'];
 
+        // Restore auto-cast settings
+        hero.skillAI = data.skillAI || {};
+
         return hero;
     }
 }
 
 /**
- * Create the starting hero (Bartimaeus)
- * In horde mode, we start with a single hero
+ * Create the starting party
+ * Bartimaeus holds the front row, Kitty and Nathaniel fight from the back
+ *
+ * @returns {Array<Hero>} Starting heroes
+ */
+export function createStartingHeroes() {
+    return [
+        // Tank: High HP, balanced damage and defense, draws enemy aggro
+        new Hero(0, 'Bartimaeus', 'Tank', 500, 30, 25),
+        // Damage: Fragile but hits hard
+        new Hero(1, 'Kitty', 'Damage', 300, 45, 10),
+        // Support: Heals the most injured ally
+        new Hero(2, 'Nathaniel', 'Support', 320, 25, 12)
+    ];
+}
+
+/**
+ * Get the heroes in the active party (at most MAX_PARTY_SIZE)
  *
- * @returns {Hero} Bartimaeus the Tank
+ * @param {Array<Hero>} roster - All owned heroes
+ * @returns {Array<Hero>} Party members
  */
-function createStartingHeroes() {
-    // Tank: High HP, balanced damage and defense for solo survival
-    return new Hero(0, 'Bartimaeus', 'Tank', 500, 30, 25);
+export function getPartyFromRoster(roster) {
+    return roster.filter(hero => hero.inParty).slice(0, MAX_PARTY_SIZE);
 }
@@ -0,0 +1,89 @@
+/**
+ * Offline Progress - What the party achieved while the game was closed
+ *
+ * Instead of paying a flat rate, we measure how fast the party actually
+ * kills enemies at the current stage: a copy of the party fights a short
+ * headless battle (simulateBattle - same BattleManager and fixed ticks as
+ * online play), and the kill rate is extrapolated over the time away.
+ *
+ * Offline rewards match what online play would have earned:
+ * - idle gold and gems at the online rates (added by AfkChest)
+ * - gold for every kill (getEnemyGoldReward)
+ * - item drops rolled for every kill (rollItemDrop), each with the loot table
+ *   of an enemy spawned the way the horde spawns them (createEnemyForStage)
+ * Everything goes into the AFK chest, which also caps the time counted.
+ *
+ * Heroes level up with gold, so there is no experience to award.
+ */
+
+import { SeededRandom } from './random.js';
+import { rollItemDrop } from './equipment.js';
+import { Hero } from './hero.js';
+import { createEnemyForStage, getEnemyGoldReward } from './enemy.js';
+import { simulateBattle } from './simulation.js';
+
+/**
+ * Game time the headless battle runs to measure the kill rate
+ * Long enough to average out wave spawns and party wipes
+ */
+export const OFFLINE_SAMPLE_MS = 5 * 60 * 1000;
+
+/**
+ * Measure the party's kills per second at a stage
+ * Fights with copies of the heroes - the real party is untouched
+ *
+ * @param {Array<Hero>} heroes - Active party
+ * @param {number} stageLevel - Stage to fight on
+ * @param {number} sampleMs - Game time to simulate
+ * @param {SeededRandom} rng - Source of the battle's rolls
+ * @returns {number} Kills per second
+ */
+export function measureKillRate(heroes, stageLevel, sampleMs = OFFLINE_SAMPLE_MS, rng = new SeededRandom()) {
+  if (heroes.length === 0) {
+    return 0;
+  }
+
+  const party = heroes.map(hero => {
+    const copy = Hero.fromJSON(hero.toJSON());
+
+    // Saves don't hold modifiers - copy them all (gear, prestige, ...)
+    copy.modifiers.modifiers = hero.modifiers.modifiers.slice();
+    copy.heal();
+    return copy;
+  });
+
+  return simulateBattle(party, stageLevel, sampleMs, rng).killsPerSecond;
+}
+
+/**
+ * Work out kills, kill gold and item drops for time spent offline
+ *
+ * @param {Array<Hero>} heroes - Active party
+ * @param {number} stageLevel - Current stage
+ * @param {number} timeAwayMs - Time away to simulate
+ * @param {SeededRandom} rng - Source of the battle and loot rolls
+ * @returns {{killsPerSecond: number, kills: number, gold: number, items: Array<Equipment>}}
+ *   What the party earned (items still have to be added to the inventory)
+ */
+export function simulateOfflineProgress(heroes, stageLevel, timeAwayMs, rng = new SeededRandom()) {
+  const seconds = timeAwayMs / 1000;
+  const killsPerSecond = measureKillRate(heroes, stageLevel, OFFLINE_SAMPLE_MS, rng);
+  const kills = Math.floor(killsPerSecond * seconds);
+
+  // Each kill is a stage enemy rolled from the biome's roster, dropping by its type's loot table
+  const items = [];
+  for (let i = 0; i < kills; i++) {
+    const enemy = createEnemyForStage(stageLevel, rng);
+    const item = rollItemDrop(stageLevel, false, rng, enemy.loot);
+    if (item) {
+      items.push(item);
+    }
+  }
+
+  return {
+    killsPerSecond: killsPerSecond,
+    kills: kills,
+    gold: kills * getEnemyGoldReward(stageLevel),
+    items: items
+  };
+}
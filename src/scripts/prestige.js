@@ -0,0 +1,184 @@
+/**
+ * Prestige - Start over stronger
+ *
+ * Prestiging resets the stage, every hero's level and gold. In return the
+ * player gets essence, based on the stage this run reached (the stage never
+ * goes back within a run, so that's the current stage). Essence buys
+ * permanent upgrades that survive every reset:
+ * - gold: more gold from kills, stage rewards and idle income
+ * - attack: a Prestige attack modifier on every hero
+ * - offline: extra hours of AFK chest capacity
+ *
+ * Gear, gems, summoned heroes and the AFK chest are kept.
+ */
+
+/**
+ * Lowest stage a run has to reach before the player can prestige
+ */
+export const PRESTIGE_MIN_STAGE = 10;
+
+/**
+ * Essence-purchasable permanent upgrades
+ * cost: baseCost * costGrowth^level; perLevel: bonus per upgrade level
+ */
+export const PRESTIGE_UPGRADES = {
+  gold: {
+    name: 'Midas Touch',
+    description: '+10% gold',
+    maxLevel: 100,
+    baseCost: 5,
+    costGrowth: 1.25,
+    perLevel: 0.1
+  },
+  attack: {
+    name: 'Djinn Strength',
+    description: '+10% hero attack',
+    maxLevel: 100,
+    baseCost: 5,
+    costGrowth: 1.25,
+    perLevel: 0.1
+  },
+  offline: {
+    name: 'Deep Pockets',
+    description: '+1h AFK chest capacity',
+    maxLevel: 10,
+    baseCost: 10,
+    costGrowth: 1.5,
+    perLevel: 1
+  }
+};
+
+export class PrestigeManager {
+  constructor() {
+    this.essence = 0; // Unspent prestige currency
+    this.totalPrestiges = 0;
+    this.upgrades = { gold: 0, attack: 0, offline: 0 }; // Upgrade levels
+  }
+
+  /**
+   * Check if a run has gone far enough to prestige
+   * @param {number} stageLevel - Stage the run has reached
+   * @returns {boolean} True if the player can prestige
+   */
+  canPrestige(stageLevel) {
+    return stageLevel >= PRESTIGE_MIN_STAGE;
+  }
+
+  /**
+   * Calculate the essence a prestige pays
+   * Formula: 5 * (stage / 10)^1.5
+   * Stage 10 = 5, stage 20 = 14, stage 50 = 55, stage 100 = 158
+   *
+   * @param {number} stageLevel - Stage the run has reached
+   * @returns {number} Essence (0 below PRESTIGE_MIN_STAGE)
+   */
+  getEssenceReward(stageLevel) {
+    if (!this.canPrestige(stageLevel)) {
+      return 0;
+    }
+    return Math.floor(5 * Math.pow(stageLevel / PRESTIGE_MIN_STAGE, 1.5));
+  }
+
+  /**
+   * Collect the essence for a run (the game resets the run itself)
+   *
+   * @param {number} stageLevel - Stage the run has reached
+   * @returns {{ok: boolean, essence: number, error: string|null}} Essence gained
+   */
+  prestige(stageLevel) {
+    if (!this.canPrestige(stageLevel)) {
+      return { ok: false, essence: 0, error: `Reach stage ${PRESTIGE_MIN_STAGE} to prestige` };
+    }
+
+    const essence = this.getEssenceReward(stageLevel);
+    this.essence += essence;
+    this.totalPrestiges++;
+    return { ok: true, essence: essence, error: null };
+  }
+
+  /**
+   * Get the total bonus from an upgrade
+   * @param {string} type - Key in PRESTIGE_UPGRADES
+   * @returns {number} Bonus (fraction for gold/attack, hours for offline)
+   */
+  getBonus(type) {
+    return this.upgrades[type] * PRESTIGE_UPGRADES[type].perLevel;
+  }
+
+  /**
+   * Get the multiplier for all gold earned
+   * @returns {number} Gold multiplier (1 = no upgrades)
+   */
+  getGoldMultiplier() {
+    return 1 + this.getBonus('gold');
+  }
+
+  /**
+   * Give a hero the permanent attack bonus (replacing any older one)
+   * @param {Hero} hero - Hero to update
+   */
+  applyToHero(hero) {
+    hero.removeModifiers('Prestige');
+
+    const attackBonus = this.getBonus('attack');
+    if (attackBonus > 0) {
+      hero.addModifier({ stat: 'attack', type: 'percentMult', value: attackBonus, source: 'Prestige' });
+    }
+  }
+
+  /**
+   * Get the essence cost of an upgrade's next level
+   * @param {string} type - Key in PRESTIGE_UPGRADES
+   * @returns {number|null} Cost, or null at max level
+   */
+  getUpgradeCost(type) {
+    const upgrade = PRESTIGE_UPGRADES[type];
+    const level = this.upgrades[type];
+    if (level >= upgrade.maxLevel) {
+      return null;
+    }
+    return Math.floor(upgrade.baseCost * Math.pow(upgrade.costGrowth, level));
+  }
+
+  /**
+   * Buy the next level of an upgrade with essence
+   *
+   * @param {string} type - Key in PRESTIGE_UPGRADES
+   * @returns {{ok: boolean, error: string|null}} Whether the upgrade was bought
+   */
+  upgrade(type) {
+    const cost = this.getUpgradeCost(type);
+    if (cost === null) {
+      return { ok: false, error: 'Already at max level' };
+    }
+    if (this.essence < cost) {
+      return { ok: false, error: 'Not enough essence' };
+    }
+
+    this.essence -= cost;
+    this.upgrades[type]++;
+    return { ok: true, error: null };
+  }
+
+  /**
+   * Serialize prestige progress for saving
+   * @returns {object} Prestige data
+   */
+  toJSON() {
+    return {
+      essence: this.essence,
+      totalPrestiges: this.totalPrestiges,
+      upgrades: Object.assign({}, this.upgrades)
+    };
+  }
+
+  /**
+   * Load prestige progress from saved data
+   * @param {object} data - Saved prestige data
+   */
+  fromJSON(data) {
+    this.essence = data.essence || 0;
+    this.totalPrestiges = data.totalPrestiges || 0;
+    this.upgrades = Object.assign({ gold: 0, attack: 0, offline: 0 }, data.upgrades);
+  }
+}
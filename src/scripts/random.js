@@ -0,0 +1,128 @@
+/**
+ * Seeded Random - Reproducible dice rolls
+ *
+ * Every gameplay roll (hit, crit, damage variance, targeting, on-hit
+ * effects, loot, summons) goes through a SeededRandom instead of
+ * Math.random(). The game owns one instance and hands it to the
+ * BattleManager, SkillManagers and SummonManager, so the same seed and the
+ * same inputs always play out the same battle.
+ *
+ * The generator is mulberry32: a 32-bit state, fast, and good enough for
+ * game rolls. Its seed and current state are stored in the save.
+ */
+
+export class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit seed (a random one if not given)
+   */
+  constructor(seed = SeededRandom.createSeed()) {
+    this.seed = seed >>> 0; // Seed this sequence started from
+    this.state = this.seed; // Advances with every roll
+  }
+
+  /**
+   * Make a fresh seed for a new game
+   * (seeds themselves come from Math.random)
+   *
+   * @returns {number} 32-bit seed
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Roll a number between 0 (inclusive) and 1 (exclusive)
+   * @returns {number} Random fraction
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Roll a whole number from 0 to max - 1
+   * @param {number} max - Number of outcomes
+   * @returns {number} Random integer
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Roll a number between min (inclusive) and max (exclusive)
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   * @returns {number} Random number
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Roll against a probability
+   * @param {number} probability - Chance of success (0 to 1)
+   * @returns {boolean} True on success
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} items - Items to pick from
+   * @returns {any} One of the items (undefined if empty)
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * Pick a key, each with its own chance
+   * @param {Object<string, number>} weights - Relative weight per key (e.g. { weapon: 2, armor: 1 })
+   * @returns {string} One of the keys (undefined if there are none)
+   */
+  pickWeighted(weights) {
+    const keys = Object.keys(weights).filter(key => weights[key] > 0);
+    const totalWeight = keys.reduce((sum, key) => sum + weights[key], 0);
+
+    let roll = this.next() * totalWeight;
+    for (const key of keys) {
+      roll -= weights[key];
+      if (roll < 0) {
+        return key;
+      }
+    }
+    return keys[keys.length - 1];
+  }
+
+  /**
+   * Start a new sequence
+   * @param {number} seed - 32-bit seed
+   */
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Serialize for saving (the state lets a load continue the same sequence)
+   * @returns {{seed: number, state: number}} Generator data
+   */
+  toJSON() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Load from saved data
+   * @param {object} data - Saved generator data
+   */
+  fromJSON(data) {
+    this.reseed(data.seed !== undefined ? data.seed : SeededRandom.createSeed());
+    if (data.state !== undefined) {
+      this.state = data.state >>> 0;
+    }
+  }
+}
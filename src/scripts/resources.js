@@ -2,31 +2,41 @@
  * Resources Management System
  *
  * Handles gold, gems, and idle/AFK resource generation.
+ * Gold and gems are BigNums (bigNumber.js) - late-stage rewards outgrow
+ * plain numbers.
  *
  * Learning Note: This manages the "currency" in your game.
  * Resources are earned from battles and passively over time.
  */
 
+import { BigNum } from './bigNumber.js';
+import { BALANCE } from './balance.js';
+
+/**
+ * Gold a new game (and every prestige) starts with
+ */
+export const STARTING_GOLD = 1000;
+
 /**
  * ResourceManager Class
  * Singleton pattern - only one instance exists in the game
  */
-class ResourceManager {
+export class ResourceManager {
     constructor() {
         // Current resources
-        this.gold = 1000; // Starting gold
-        this.gems = 50;   // Starting gems
+        this.gold = BigNum.from(STARTING_GOLD);
+        this.gems = BigNum.from(50);   // Starting gems
 
         // Idle generation rates (per second)
         this.goldPerSecond = 0;
         this.gemsPerSecond = 0;
 
+        // Boost for all earned gold (prestige upgrades - set by the game, not saved)
+        this.goldMultiplier = 1;
+
         // Tracking for idle rewards
         this.lastUpdateTime = Date.now();
         this.lastSaveTime = Date.now();
-
-        // Total time away for AFK rewards (in seconds)
-        this.timeAwaySeconds = 0;
     }
 
     /**
@@ -36,19 +46,19 @@ class ResourceManager {
      */
     updateIdleRates(stageLevel) {
         // Gold per second increases with stage level
-        // Formula: stage * 0.5 gold/second
+        // Formula: stage * 0.5 gold/second (times goldMultiplier)
         // Stage 1 = 0.5 gold/sec, Stage 10 = 5 gold/sec
-        this.goldPerSecond = stageLevel * 0.5;
+        this.goldPerSecond = stageLevel * BALANCE.economy.idleGoldPerStage * this.goldMultiplier;
 
         // Gems per second (much slower than gold)
         // Formula: stage * 0.01 gems/second
         // Stage 1 = 0.01 gems/sec, Stage 100 = 1 gem/sec
-        this.gemsPerSecond = stageLevel * 0.01;
+        this.gemsPerSecond = stageLevel * BALANCE.economy.idleGemsPerStage;
     }
 
     /**
-     * Update idle resources based on time passed
-     * Called every frame to accumulate resources
+     * Add idle resources for the time passed straight to the totals
+     * (the game routes idle income through the AFK chest instead)
      *
      * @param {number} deltaTime - Time since last update in milliseconds
      */
@@ -57,37 +67,56 @@ class ResourceManager {
         const seconds = deltaTime / 1000;
 
         // Generate idle resources
-        this.gold += this.goldPerSecond * seconds;
-        this.gems += this.gemsPerSecond * seconds;
+        this.gold = this.gold.add(this.goldPerSecond * seconds);
+        this.gems = this.gems.add(this.gemsPerSecond * seconds);
     }
 
     /**
      * Add gold to the player's total
      *
-     * @param {number} amount - Gold to add
+     * @param {number|BigNum} amount - Gold to add
      */
     addGold(amount) {
-        this.gold += Math.floor(amount);
+        this.gold = this.gold.add(BigNum.from(amount).floor());
+    }
+
+    /**
+     * Add gold earned in battle (kills, stage rewards), boosted by goldMultiplier
+     *
+     * @param {number|BigNum} amount - Gold before the multiplier
+     * @returns {BigNum} Gold actually added
+     */
+    earnGold(amount) {
+        const earned = BigNum.from(amount).mul(this.goldMultiplier).floor();
+        this.gold = this.gold.add(earned);
+        return earned;
+    }
+
+    /**
+     * Drop gold back to the starting amount (prestige)
+     */
+    resetGold() {
+        this.gold = BigNum.from(STARTING_GOLD);
     }
 
     /**
      * Add gems to the player's total
      *
-     * @param {number} amount - Gems to add
+     * @param {number|BigNum} amount - Gems to add
      */
     addGems(amount) {
-        this.gems += Math.floor(amount);
+        this.gems = this.gems.add(BigNum.from(amount).floor());
     }
 
     /**
      * Try to spend gold (for upgrades, etc.)
      *
-     * @param {number} amount - Gold to spend
+     * @param {number|BigNum} amount - Gold to spend
      * @returns {boolean} True if purchase successful, false if not enough gold
      */
     spendGold(amount) {
-        if (this.gold >= amount) {
-            this.gold -= amount;
+        if (this.gold.gte(amount)) {
+            this.gold = this.gold.sub(amount);
             return true;
         }
         return false;
@@ -96,52 +125,17 @@ class ResourceManager {
     /**
      * Try to spend gems
      *
-     * @param {number} amount - Gems to spend
+     * @param {number|BigNum} amount - Gems to spend
      * @returns {boolean} True if purchase successful, false if not enough gems
      */
     spendGems(amount) {
-        if (this.gems >= amount) {
-            this.gems -= amount;
+        if (this.gems.gte(amount)) {
+            this.gems = this.gems.sub(amount);
             return true;
         }
         return false;
     }
 
-    /**
-     * Calculate offline earnings (AFK rewards)
-     * Called when the player returns to the game
-     *
-     * @param {number} timeAwayMs - Milliseconds the player was away
-     * @param {number} currentStage - Current stage (for calculating rates)
-     * @returns {object} Object with gold and gems earned { gold, gems, timeAwayFormatted }
-     */
-    calculateOfflineEarnings(timeAwayMs, currentStage) {
-        // Cap offline earnings at 2 hours (7200 seconds)
-        const maxOfflineTime = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
-        const cappedTime = Math.min(timeAwayMs, maxOfflineTime);
-
-        // Convert to seconds
-        const timeAwaySeconds = cappedTime / 1000;
-        this.timeAwaySeconds = timeAwaySeconds;
-
-        // Calculate rates for the current stage
-        const goldRate = currentStage * 10;
-        const gemRate = currentStage * 0.1;
-
-        // Calculate earnings
-        const goldEarned = Math.floor(goldRate * timeAwaySeconds);
-        const gemsEarned = Math.floor(gemRate * timeAwaySeconds);
-
-        // Format time away for display
-        const timeAwayFormatted = this.formatTime(timeAwaySeconds);
-
-        return {
-            gold: goldEarned,
-            gems: gemsEarned,
-            timeAwayFormatted: timeAwayFormatted
-        };
-    }
-
     /**
      * Format seconds into readable time (e.g., "5m 30s" or "1h 20m")
      *
@@ -165,19 +159,19 @@ class ResourceManager {
     /**
      * Get current gold amount
      *
-     * @returns {number} Current gold
+     * @returns {BigNum} Current gold
      */
     getGold() {
-        return Math.floor(this.gold);
+        return this.gold.floor();
     }
 
     /**
      * Get current gems amount
      *
-     * @returns {number} Current gems
+     * @returns {BigNum} Current gems
      */
     getGems() {
-        return Math.floor(this.gems);
+        return this.gems.floor();
     }
 
     /**
@@ -187,8 +181,8 @@ class ResourceManager {
      */
     toJSON() {
         return {
-            gold: this.gold,
-            gems: this.gems,
+            gold: this.gold.toJSON(), // Number, or a "1.5e400" string once it's big
+            gems: this.gems.toJSON(),
             goldPerSecond: this.goldPerSecond,
             gemsPerSecond: this.gemsPerSecond,
             lastSaveTime: Date.now() // Update save time
@@ -201,8 +195,8 @@ class ResourceManager {
      * @param {object} data - Saved resources data
      */
     fromJSON(data) {
-        this.gold = data.gold || 1000;
-        this.gems = data.gems || 50;
+        this.gold = BigNum.from(data.gold || STARTING_GOLD);
+        this.gems = BigNum.from(data.gems || 50);
         this.goldPerSecond = data.goldPerSecond || 0;
         this.gemsPerSecond = data.gemsPerSecond || 0;
         this.lastSaveTime = data.lastSaveTime || Date.now();
@@ -0,0 +1,228 @@
+/**
+ * Save Migrations - Upgrade old save files to the current shape
+ *
+ * Every save records the schema version it was written with. On load,
+ * StorageManager runs the save through each migration between its version
+ * and CURRENT_SAVE_VERSION (in order), then validates the result.
+ *
+ * Adding a field to the save:
+ * 1. Bump CURRENT_SAVE_VERSION
+ * 2. Append a migration from the old version that fills in the new field
+ *
+ * Saves from a NEWER version than this build are refused (and never
+ * overwritten) - an older build can't know what the newer fields mean.
+ */
+
+import { BigNum } from './bigNumber.js';
+import { SeededRandom } from './random.js';
+import { MAX_PARTY_SIZE, createStartingHeroes } from './hero.js';
+
+/**
+ * Schema version written by createSaveState()
+ */
+export const CURRENT_SAVE_VERSION = '1.7';
+
+/**
+ * Ordered migration chain
+ * Each migration upgrades a save from one version to the next, in place
+ */
+export const SAVE_MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: 'Converted single hero save to a party roster',
+    migrate: save => {
+      // Very early saves stored one hero object instead of an array
+      if (!Array.isArray(save.heroes)) {
+        save.heroes = save.hero ? [save.hero] : [];
+        delete save.hero;
+      }
+
+      // A lone Bartimaeus gets the rest of the starting party
+      if (save.heroes.length === 1) {
+        createStartingHeroes()
+          .filter(hero => hero.name !== save.heroes[0].name)
+          .forEach((hero, index) => {
+            const heroData = hero.toJSON();
+            heroData.id = save.heroes[0].id + index + 1;
+            save.heroes.push(heroData);
+          });
+      }
+    }
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    description: 'Added hero formation, skill AI and gear slots',
+    migrate: save => {
+      save.heroes.forEach((heroData, index) => {
+        if (!heroData.templateId) heroData.templateId = heroData.name.toLowerCase();
+        if (heroData.inParty === undefined) heroData.inParty = index < MAX_PARTY_SIZE;
+        if (!heroData.row) heroData.row = heroData.role === 'Tank' ? 'front' : 'back';
+        if (!Array.isArray(heroData.unlockedSkills)) heroData.unlockedSkills = ['fireball'];
+        if (!heroData.skillAI) heroData.skillAI = {};
+        if (!heroData.equipment) {
+          heroData.equipment = { weapon: null, armor: null, accessory: null };
+        }
+      });
+    }
+  },
+  {
+    from: '1.2',
+    to: '1.3',
+    description: 'Added inventory and summoning progress',
+    migrate: save => {
+      if (!Array.isArray(save.inventory)) save.inventory = [];
+      if (!save.summoning) {
+        save.summoning = { pityCounter: 0, totalSummons: 0, shards: {} };
+      }
+    }
+  },
+  {
+    from: '1.3',
+    to: '1.4',
+    description: 'Added the AFK chest',
+    migrate: save => {
+      // Start empty - the time since lastSaveTime fills it on load
+      if (!save.afkChest) {
+        save.afkChest = { storedMs: 0, gold: 0, gems: 0, kills: 0, items: [], upgrades: {} };
+      }
+    }
+  },
+  {
+    from: '1.4',
+    to: '1.5',
+    description: 'Gold and gems can be big numbers',
+    migrate: () => {
+      // Old plain-number gold and gems are still valid. The bump stops older
+      // builds from loading saves that store gold as a "1.5e400" string.
+    }
+  },
+  {
+    from: '1.5',
+    to: '1.6',
+    description: 'Added prestige',
+    migrate: save => {
+      if (!save.prestige) {
+        save.prestige = { essence: 0, totalPrestiges: 0, upgrades: {} };
+      }
+    }
+  },
+  {
+    from: '1.6',
+    to: '1.7',
+    description: 'Added the random seed',
+    migrate: save => {
+      if (!save.rng) {
+        save.rng = { seed: SeededRandom.createSeed() };
+      }
+    }
+  }
+];
+
+/**
+ * Compare two "major.minor" version strings
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareSaveVersions(a, b) {
+  const [aMajor, aMinor] = String(a).split('.').map(Number);
+  const [bMajor, bMinor] = String(b).split('.').map(Number);
+  return aMajor !== bMajor ? aMajor - bMajor : (aMinor || 0) - (bMinor || 0);
+}
+
+/**
+ * Check that a (migrated) save has everything the game needs to load it
+ *
+ * @param {object} save - Save state at CURRENT_SAVE_VERSION
+ * @returns {Array<string>} Problems found (empty if the save is valid)
+ */
+export function validateSaveState(save) {
+  const errors = [];
+  const isNumber = value => typeof value === 'number' && isFinite(value);
+
+  if (!Array.isArray(save.heroes) || save.heroes.length === 0) {
+    errors.push('no heroes');
+  } else {
+    save.heroes.forEach((heroData, index) => {
+      if (!heroData || !heroData.name) {
+        errors.push(`hero ${index} has no name`);
+        return;
+      }
+      if (!isNumber(heroData.level) || heroData.level < 1) {
+        errors.push(`${heroData.name} has an invalid level`);
+      }
+      ['baseHealth', 'baseAttack', 'baseDefense'].forEach(stat => {
+        if (!isNumber(heroData[stat])) {
+          errors.push(`${heroData.name} has an invalid ${stat}`);
+        }
+      });
+    });
+  }
+
+  if (
+    !save.resources ||
+    !BigNum.isValid(save.resources.gold) ||
+    !BigNum.isValid(save.resources.gems)
+  ) {
+    errors.push('invalid resources');
+  }
+  if (!isNumber(save.currentStage) || save.currentStage < 1) {
+    errors.push('invalid stage');
+  }
+  if (!Array.isArray(save.inventory)) {
+    errors.push('invalid inventory');
+  }
+
+  return errors;
+}
+
+/**
+ * Upgrade a save to CURRENT_SAVE_VERSION and validate it
+ *
+ * @param {object} save - Parsed save state (modified in place)
+ * @returns {{ok: boolean, save: object, applied: Array<object>, error: string|null}}
+ *   applied lists the migrations that ran; error explains why loading was refused
+ */
+export function migrateSaveState(save) {
+  const result = { ok: false, save: save, applied: [], error: null };
+
+  if (!save || typeof save !== 'object') {
+    result.error = 'Save data is not an object';
+    return result;
+  }
+
+  // Saves written before versioning are treated as the first version
+  if (!save.version) {
+    save.version = SAVE_MIGRATIONS[0].from;
+  }
+
+  if (compareSaveVersions(save.version, CURRENT_SAVE_VERSION) > 0) {
+    result.error = `Save is from a newer version (${save.version}) than this game (${CURRENT_SAVE_VERSION})`;
+    return result;
+  }
+
+  for (const migration of SAVE_MIGRATIONS) {
+    if (compareSaveVersions(save.version, migration.from) !== 0) continue;
+
+    migration.migrate(save);
+    save.version = migration.to;
+    result.applied.push(migration);
+  }
+
+  if (save.version !== CURRENT_SAVE_VERSION) {
+    result.error = `No migration path from save version ${save.version}`;
+    return result;
+  }
+
+  const errors = validateSaveState(save);
+  if (errors.length > 0) {
+    result.error = `Invalid save: ${errors.join(', ')}`;
+    return result;
+  }
+
+  result.ok = true;
+  return result;
+}
@@ -0,0 +1,183 @@
+/**
+ * Save Transfer - Export and import saves as portable text
+ *
+ * An export string looks like:  BIRPG1.<checksum>.<data>
+ * - data: the save JSON, gzip-compressed, then base64-encoded
+ * - checksum: FNV-1a hash of the save JSON (catches typos and truncated pastes)
+ *
+ * Importing decodes the string, checks the checksum, runs the save through
+ * the migration chain (saveMigrations.js) and builds a preview, so the player
+ * can see what they're loading before it replaces their current save.
+ */
+
+import { BigNum } from './bigNumber.js';
+import { migrateSaveState } from './saveMigrations.js';
+
+/**
+ * Prefix identifying an export string (bump the number if the format changes)
+ */
+export const SAVE_EXPORT_PREFIX = 'BIRPG1';
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} 8-digit hex checksum
+ */
+export function computeSaveChecksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} stream - gzip stream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+export async function pipeSaveBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode bytes as base64
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000; // Stay under the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ *
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Turn a save state into an export string
+ *
+ * @param {object} saveState - Save state (from createSaveState)
+ * @returns {Promise<string>} Export string
+ */
+export async function exportSaveString(saveState) {
+  const json = JSON.stringify(saveState);
+  const compressed = await pipeSaveBytes(
+    new TextEncoder().encode(json),
+    new CompressionStream('gzip')
+  );
+
+  return `${SAVE_EXPORT_PREFIX}.${computeSaveChecksum(json)}.${bytesToBase64(compressed)}`;
+}
+
+/**
+ * Decode, verify and migrate an export string
+ *
+ * @param {string} text - Export string (surrounding whitespace is ignored)
+ * @returns {Promise<{ok: boolean, save: object|null, preview: object|null, applied: Array<object>, error: string|null}>}
+ *   The migrated save and its preview, or an error explaining what's wrong
+ */
+export async function importSaveString(text) {
+  const result = { ok: false, save: null, preview: null, applied: [], error: null };
+  const parts = String(text || '').replace(/\s+/g, '').split('.');
+
+  if (parts.length !== 3 || parts[0] !== SAVE_EXPORT_PREFIX) {
+    result.error = 'This is not a save export';
+    return result;
+  }
+
+  const [, checksum, data] = parts;
+
+  let json;
+  try {
+    const bytes = await pipeSaveBytes(base64ToBytes(data), new DecompressionStream('gzip'));
+    json = new TextDecoder().decode(bytes);
+  } catch (error) {
+    result.error = 'The save data is damaged (could not decompress)';
+    return result;
+  }
+
+  if (computeSaveChecksum(json) !== checksum) {
+    result.error = 'Checksum mismatch - the save was changed or cut off';
+    return result;
+  }
+
+  let save;
+  try {
+    save = JSON.parse(json);
+  } catch (error) {
+    result.error = 'The save data is damaged (invalid JSON)';
+    return result;
+  }
+
+  const migration = migrateSaveState(save);
+  result.applied = migration.applied;
+  if (!migration.ok) {
+    result.error = migration.error;
+    return result;
+  }
+
+  result.ok = true;
+  result.save = migration.save;
+  result.preview = getSavePreview(migration.save);
+  return result;
+}
+
+/**
+ * Summarize a save for the import preview
+ *
+ * @param {object} save - Migrated save state
+ * @returns {{stage: number, heroCount: number, heroLevel: number, gold: BigNum, gems: BigNum, savedAt: number|null}}
+ *   Key progress numbers (heroLevel is the highest hero level)
+ */
+export function getSavePreview(save) {
+  return {
+    stage: save.currentStage,
+    heroCount: save.heroes.length,
+    heroLevel: save.heroes.reduce((max, hero) => Math.max(max, hero.level), 0),
+    gold: BigNum.from(save.resources.gold).floor(),
+    gems: BigNum.from(save.resources.gems).floor(),
+    savedAt: save.lastSaveTime || null
+  };
+}
+
+/**
+ * Offer an export string as a downloadable file
+ *
+ * @param {string} exportString - From exportSaveString
+ */
+export function downloadSaveFile(exportString) {
+  const blob = new Blob([exportString], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const date = new Date().toISOString().slice(0, 10);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `bartimaeus-save-${date}.txt`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
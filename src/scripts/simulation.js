@@ -0,0 +1,118 @@
+/**
+ * Headless Simulation - Battles without a browser
+ *
+ * Runs the real combat code (BattleManager, SkillManager, SkillAI) with the
+ * same fixed ticks as the game loop, but nothing is drawn. Used for offline
+ * progress and by the Node tools in tools/ (e.g. npm run simulate).
+ *
+ * Nothing here touches the DOM, so it runs in Node as well as the browser.
+ */
+
+import { BigNum } from './bigNumber.js';
+import { SeededRandom } from './random.js';
+import { createStartingHeroes } from './hero.js';
+import { getEnemyGoldReward } from './enemy.js';
+import { SkillManager } from './skills.js';
+import { SkillAI } from './skillAI.js';
+import { ResourceManager } from './resources.js';
+import { BattleManager, SIMULATION_TICK_MS } from './battle.js';
+
+/**
+ * Build the starting party at a hero level (full health, no gear)
+ *
+ * @param {number|Array<number>} heroLevel - Level for every hero, or one level per hero
+ * @returns {Array<Hero>} Party
+ */
+export function createSimulationParty(heroLevel = 1) {
+  const heroes = createStartingHeroes();
+  heroes.forEach((hero, index) => {
+    const level = Array.isArray(heroLevel) ? heroLevel[index] : heroLevel;
+    hero.level = Math.max(1, Math.floor(level || 1));
+    hero.heal();
+  });
+  return heroes;
+}
+
+/**
+ * Give each hero their skills and auto-cast AI for a battle
+ *
+ * @param {BattleManager} battle - Battle to set up
+ * @param {Array<Hero>} heroes - Party
+ * @param {SeededRandom} rng - Source of skill rolls
+ */
+function setupSimulationSkills(battle, heroes, rng) {
+  heroes.forEach(hero => {
+    const skillManager = new SkillManager(hero, rng);
+    battle.setHeroSkills(hero, skillManager, new SkillAI(hero, skillManager));
+  });
+}
+
+/**
+ * Fight the endless horde at a stage for a stretch of game time
+ * Heroes are used as they are (pass copies to keep the real party untouched)
+ *
+ * @param {Array<Hero>} heroes - Party
+ * @param {number} stageLevel - Stage to fight on
+ * @param {number} durationMs - Game time to simulate
+ * @param {SeededRandom} rng - Source of every roll (a randomly seeded one if not given)
+ * @returns {{durationMs: number, kills: number, deaths: number, damage: BigNum,
+ *   dps: BigNum, gold: BigNum, killsPerSecond: number}}
+ *   What happened: deaths are party wipes, gold is kill gold plus idle income
+ */
+export function simulateBattle(heroes, stageLevel, durationMs, rng = new SeededRandom()) {
+  const battle = new BattleManager(rng);
+  setupSimulationSkills(battle, heroes, rng);
+
+  // Gold is paid the same way Game does: a bounty per kill plus idle income
+  const resources = new ResourceManager();
+  const goldBefore = resources.getGold();
+  resources.updateIdleRates(stageLevel);
+  battle.onEnemyDefeated = () => resources.earnGold(getEnemyGoldReward(stageLevel));
+
+  battle.startBattle(heroes, stageLevel);
+  for (let elapsed = 0; elapsed < durationMs; elapsed += SIMULATION_TICK_MS) {
+    battle.update(SIMULATION_TICK_MS);
+    battle.updateDamageNumbers(SIMULATION_TICK_MS);
+    resources.update(SIMULATION_TICK_MS);
+  }
+
+  const seconds = durationMs / 1000;
+  return {
+    durationMs: durationMs,
+    kills: battle.totalEnemiesDefeated,
+    deaths: battle.totalPartyWipes,
+    damage: battle.totalHeroDamage,
+    dps: seconds > 0 ? battle.totalHeroDamage.div(seconds) : BigNum.from(0),
+    gold: resources.getGold().sub(goldBefore).floor(),
+    killsPerSecond: seconds > 0 ? battle.totalEnemiesDefeated / seconds : 0
+  };
+}
+
+/**
+ * Fight a stage's boss once, the way the Challenge Stage button does
+ *
+ * @param {Array<Hero>} heroes - Party
+ * @param {number} stageLevel - Stage whose boss to fight
+ * @param {SeededRandom} rng - Source of every roll (a randomly seeded one if not given)
+ * @returns {{victory: boolean, durationMs: number, bossHealthPercent: number}}
+ *   Result, game time the fight took and the boss's health left (0-1)
+ */
+export function simulateBossFight(heroes, stageLevel, rng = new SeededRandom()) {
+  const battle = new BattleManager(rng);
+  setupSimulationSkills(battle, heroes, rng);
+
+  battle.startBattle(heroes, stageLevel, 'BOSS');
+  let elapsed = 0;
+  while (battle.isBattleActive) {
+    battle.update(SIMULATION_TICK_MS);
+    battle.updateDamageNumbers(SIMULATION_TICK_MS);
+    elapsed += SIMULATION_TICK_MS;
+  }
+
+  const boss = battle.enemies[0];
+  return {
+    victory: battle.battleResult === 'victory',
+    durationMs: elapsed,
+    bossHealthPercent: boss ? boss.getHealthPercent() : 0
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * SkillAI - Decides when a hero casts skills automatically during idle play
+ *
+ * Each round the battle loop asks the AI for one skill to cast. Skills are
+ * checked in the hero's priority order; the first ready skill whose rule
+ * says "cast now" fires.
+ *
+ * Settings live on the hero (hero.skillAI) so they can be tuned per hero:
+ * - priorities: skill IDs, highest priority first
+ * - healThreshold: cast Second Wind below this health percent (0 to 1)
+ * - cleaveMinEnemies: cast Cleave when at least this many enemies are alive
+ * - autoCast: map of skillId -> false to leave that skill for manual use
+ */
+
+/**
+ * Default auto-cast settings for a new hero
+ */
+export const DEFAULT_SKILL_AI = {
+  priorities: ['heal', 'cleave', 'fireball'],
+  healThreshold: 0.4,
+  cleaveMinEnemies: 3,
+  autoCast: {}
+};
+
+/**
+ * Target selection per skill ID (used for both auto and manual casts)
+ * Each function receives the living enemies and returns the skill's targets
+ */
+export const SKILL_TARGETING = {
+  // Self-heal needs no enemy targets
+  heal: () => [],
+
+  // Cleave hits everything
+  cleave: enemies => enemies,
+
+  // Fireball the toughest enemy
+  fireball: enemies => {
+    if (enemies.length === 0) return [];
+    const target = enemies.reduce((best, enemy) =>
+      enemy.health.gt(best.health) ? enemy : best
+    );
+    return [target];
+  }
+};
+
+/**
+ * Auto-cast rules per skill ID
+ * Each rule returns true when the AI should cast the skill now
+ */
+export const SKILL_AI_RULES = {
+  // Heal only when hurt
+  heal: (caster, enemies, settings) =>
+    caster.getHealthPercent() < settings.healThreshold,
+
+  // Cleave only when there are enough enemies to make it worthwhile
+  cleave: (caster, enemies, settings) =>
+    enemies.length >= settings.cleaveMinEnemies,
+
+  // Fireball whenever there is something to hit
+  fireball: (caster, enemies) => enemies.length > 0
+};
+
+export class SkillAI {
+  /**
+   * @param {Hero} hero - The hero whose skills are cast
+   * @param {SkillManager} skillManager - The hero's skill manager
+   */
+  constructor(hero, skillManager) {
+    this.hero = hero;
+    this.skillManager = skillManager;
+  }
+
+  /**
+   * Get the hero's settings merged over the defaults
+   * @returns {object} Auto-cast settings
+   */
+  getSettings() {
+    return Object.assign({}, DEFAULT_SKILL_AI, this.hero.skillAI || {});
+  }
+
+  /**
+   * Check if a skill is allowed to auto-cast
+   * @param {string} skillId - The skill ID
+   * @returns {boolean} True unless auto-cast was switched off for the skill
+   */
+  isAutoCastEnabled(skillId) {
+    const settings = this.getSettings();
+    return settings.autoCast[skillId] !== false;
+  }
+
+  /**
+   * Switch auto-cast on or off for a skill
+   * Stored on the hero so the choice is saved with them
+   * @param {string} skillId - The skill ID
+   * @param {boolean} enabled - True to let the AI cast the skill
+   */
+  setAutoCast(skillId, enabled) {
+    if (!this.hero.skillAI) {
+      this.hero.skillAI = {};
+    }
+    this.hero.skillAI.autoCast = Object.assign({}, this.hero.skillAI.autoCast, {
+      [skillId]: enabled
+    });
+  }
+
+  /**
+   * Pick the skill to cast this round
+   * @param {Array<Enemy>} enemies - Current enemies
+   * @returns {{skill: Skill, targets: Array}|null} Skill and targets, or null to just auto-attack
+   */
+  chooseSkill(enemies) {
+    if (!this.hero.isAlive()) return null;
+
+    const settings = this.getSettings();
+    const aliveEnemies = enemies.filter(e => e.isAlive());
+
+    for (const skillId of settings.priorities) {
+      const skill = this.skillManager.getSkill(skillId);
+      const rule = SKILL_AI_RULES[skillId];
+
+      if (!skill || !rule || !skill.canUse()) continue;
+      if (!this.isAutoCastEnabled(skillId)) continue;
+
+      if (rule(this.hero, aliveEnemies, settings)) {
+        return { skill: skill, targets: this.getTargets(skillId, enemies) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick targets for a skill
+   * @param {string} skillId - The skill ID
+   * @param {Array<Enemy>} enemies - Current enemies
+   * @returns {Array<Enemy>} Targets for the skill
+   */
+  getTargets(skillId, enemies) {
+    const aliveEnemies = enemies.filter(e => e.isAlive());
+    const targeting = SKILL_TARGETING[skillId];
+    return targeting ? targeting(aliveEnemies) : aliveEnemies;
+  }
+
+  /**
+   * Cast the best skill for this round, if any
+   * @param {Array<Enemy>} enemies - Current enemies
+   * @param {BattleManager} battleManager - Reference to battle manager
+   * @returns {boolean} True if a skill was cast
+   */
+  castBestSkill(enemies, battleManager) {
+    const choice = this.chooseSkill(enemies);
+    if (!choice) return false;
+
+    return this.skillManager.useSkill(choice.skill.id, choice.targets, battleManager);
+  }
+}
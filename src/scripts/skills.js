@@ -1,7 +1,10 @@
+import { BigNum } from './bigNumber.js';
+import { SeededRandom } from './random.js';
+
 /**
  * Skill - Represents an active ability that can be used in combat
  */
-class Skill {
+export class Skill {
   constructor(id, name, description, cooldown, manaCost, effect) {
     this.id = id;
     this.name = name;
@@ -9,7 +12,7 @@ class Skill {
     this.baseCooldown = cooldown; // milliseconds
     this.currentCooldown = 0;
     this.manaCost = manaCost; // For future mana system
-    this.effect = effect; // Function: (caster, targets, battleManager) => void
+    this.effect = effect; // Function: (caster, targets, battleManager, rng) => void
     this.icon = null; // Set by AssetManager
   }
 
@@ -26,15 +29,16 @@ class Skill {
    * @param {Hero} caster - The character using the skill
    * @param {Array} targets - Array of target enemies
    * @param {BattleManager} battleManager - Reference to battle manager
+   * @param {SeededRandom} rng - Source of the skill's rolls
    * @returns {boolean} True if skill was used successfully
    */
-  use(caster, targets, battleManager) {
+  use(caster, targets, battleManager, rng) {
     if (!this.canUse()) {
       return false;
     }
 
     // Execute skill effect
-    this.effect(caster, targets, battleManager);
+    this.effect(caster, targets, battleManager, rng);
 
     // Start cooldown
     this.currentCooldown = this.baseCooldown;
@@ -68,35 +72,59 @@ class Skill {
   getCooldownSeconds() {
     return Math.ceil(this.currentCooldown / 1000);
   }
+
+  /**
+   * Create a fresh copy of this skill with its own cooldown
+   * Each hero gets copies so cooldowns aren't shared between heroes
+   * @returns {Skill} New skill instance
+   */
+  clone() {
+    const copy = new Skill(
+      this.id,
+      this.name,
+      this.description,
+      this.baseCooldown,
+      this.manaCost,
+      this.effect
+    );
+    copy.icon = this.icon;
+    return copy;
+  }
 }
 
 /**
  * Predefined skills available in the game
  */
-const SKILLS = {
+export const SKILLS = {
   FIREBALL: new Skill(
     'fireball',
     'Fireball',
-    'Deal 200% damage to target enemy',
+    'Deal 200% damage to target enemy and set it on fire',
     5000, // 5 second cooldown
     0,
-    (caster, targets, battleManager) => {
+    (caster, targets, battleManager, rng) => {
       if (targets.length === 0) return;
 
       // Target first enemy in array
       const target = targets[0];
-      const baseDamage = Math.floor(caster.attack * 2);
 
-      // Apply damage variance (0.9 to 1.1)
-      const variance = 0.9 + Math.random() * 0.2;
-      const damage = Math.floor(baseDamage * variance);
+      // 200% damage with variance; skills never miss but can crit
+      const roll = battleManager.rollDamage(caster, target, 2, false, rng);
 
       // Deal damage
-      const actualDamage = target.takeDamage(damage);
+      const actualDamage = target.takeDamage(roll.damage);
+      if (battleManager.recordHeroDamage) {
+        battleManager.recordHeroDamage(actualDamage);
+      }
 
       // Create damage number
       if (battleManager.createDamageNumber) {
-        battleManager.createDamageNumber(target.x, target.y, actualDamage, false);
+        battleManager.createDamageNumber(target.x, target.y, actualDamage, false, null, roll.isCrit);
+      }
+
+      // Burn for 15% of attack per round
+      if (battleManager.applyStatusEffect) {
+        battleManager.applyStatusEffect(target, 'burn', caster.attack.mul(0.15).floor());
       }
 
       // Log to adventure log
@@ -109,32 +137,37 @@ const SKILLS = {
   CLEAVE: new Skill(
     'cleave',
     'Cleave',
-    'Deal 80% damage to all enemies',
+    'Deal 80% damage to all enemies and slow them',
     8000, // 8 second cooldown
     0,
-    (caster, targets, battleManager) => {
-      let totalDamage = 0;
+    (caster, targets, battleManager, rng) => {
+      let totalDamage = BigNum.from(0);
       let enemiesHit = 0;
 
       targets.forEach(enemy => {
         if (enemy.isAlive()) {
-          const baseDamage = Math.floor(caster.attack * 0.8);
-
-          // Apply damage variance
-          const variance = 0.9 + Math.random() * 0.2;
-          const damage = Math.floor(baseDamage * variance);
+          // 80% damage with variance; skills never miss but can crit
+          const roll = battleManager.rollDamage(caster, enemy, 0.8, false, rng);
 
           // Deal damage
-          const actualDamage = enemy.takeDamage(damage);
-          totalDamage += actualDamage;
+          const actualDamage = enemy.takeDamage(roll.damage);
+          totalDamage = totalDamage.add(actualDamage);
           enemiesHit++;
+          if (battleManager.recordHeroDamage) {
+            battleManager.recordHeroDamage(actualDamage);
+          }
+
+          // Slow for 2 rounds
+          if (battleManager.applyStatusEffect) {
+            battleManager.applyStatusEffect(enemy, 'slow', 0, 2);
+          }
 
           // Create damage number
           if (battleManager.createDamageNumber) {
             // Stagger damage numbers slightly for visual clarity
-            setTimeout(() => {
-              battleManager.createDamageNumber(enemy.x, enemy.y, actualDamage, false);
-            }, enemiesHit * 50);
+            battleManager.createDamageNumber(
+              enemy.x, enemy.y, actualDamage, false, null, roll.isCrit, enemiesHit * 50
+            );
           }
         }
       });
@@ -149,16 +182,21 @@ const SKILLS = {
   HEAL: new Skill(
     'heal',
     'Second Wind',
-    'Restore 30% of max health',
+    'Restore 30% of max health and gain a shield',
     15000, // 15 second cooldown
     0,
     (caster, targets, battleManager) => {
-      const healAmount = Math.floor(caster.maxHealth * 0.3);
+      const healAmount = caster.maxHealth.mul(0.3).floor();
       const oldHealth = caster.health;
 
-      caster.health = Math.min(caster.maxHealth, caster.health + healAmount);
+      caster.health = BigNum.min(caster.maxHealth, caster.health.add(healAmount));
 
-      const actualHeal = caster.health - oldHealth;
+      const actualHeal = caster.health.sub(oldHealth);
+
+      // Shield worth 15% of max health
+      if (battleManager.applyStatusEffect) {
+        battleManager.applyStatusEffect(caster, 'shield', caster.maxHealth.mul(0.15).floor());
+      }
 
       // Create heal number (positive damage number)
       if (battleManager.createDamageNumber) {
@@ -176,9 +214,14 @@ const SKILLS = {
 /**
  * SkillManager - Manages a hero's unlocked skills and cooldowns
  */
-class SkillManager {
-  constructor(hero) {
+export class SkillManager {
+  /**
+   * @param {Hero} hero - Skill owner
+   * @param {SeededRandom} rng - Source of skill rolls (share the battle's to replay fights)
+   */
+  constructor(hero, rng = new SeededRandom()) {
     this.hero = hero;
+    this.rng = rng;
 
     // Initialize with unlocked skills from hero
     // Default to just Fireball if no skills unlocked
@@ -188,13 +231,13 @@ class SkillManager {
     unlockedSkillIds.forEach(skillId => {
       const skill = this.getSkillById(skillId);
       if (skill) {
-        this.skills.push(skill);
+        this.skills.push(skill.clone());
       }
     });
 
     // If no skills were added, add Fireball as default
     if (this.skills.length === 0) {
-      this.skills.push(SKILLS.FIREBALL);
+      this.skills.push(SKILLS.FIREBALL.clone());
     }
   }
 
@@ -245,7 +288,7 @@ class SkillManager {
       return false;
     }
 
-    return skill.use(this.hero, targets, battleManager);
+    return skill.use(this.hero, targets, battleManager, this.rng);
   }
 
   /**
@@ -269,7 +312,7 @@ class SkillManager {
 
     const skill = this.getSkillById(skillId);
     if (skill) {
-      this.skills.push(skill);
+      this.skills.push(skill.clone());
 
       // Update hero's unlocked skills
       if (!this.hero.unlockedSkills) {
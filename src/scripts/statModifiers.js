@@ -0,0 +1,144 @@
+/**
+ * Stat Modifiers - Bonuses from gear, buffs, talents, prestige, ...
+ *
+ * Every hero stat is read through a modifier stack:
+ *   (base + flat) * (1 + sum of percentAdd) * product of (1 + percentMult)
+ *
+ * - flat: +6 attack from a Sword
+ * - percentAdd: +10% and +15% attack add up to +25%
+ * - percentMult: each one multiplies the result on its own (x1.1 then x1.2)
+ *
+ * Each modifier carries a source tag ("Sword", "Prestige", ...) so a system
+ * can remove everything it added and the UI can explain where a stat comes from.
+ *
+ * Totals are BigNums (bigNumber.js) so late-game health and attack don't overflow.
+ */
+
+import { BigNum } from './bigNumber.js';
+
+/**
+ * Valid modifier types, in the order they are applied
+ */
+export const MODIFIER_TYPES = ['flat', 'percentAdd', 'percentMult'];
+
+export class StatModifiers {
+  constructor() {
+    this.modifiers = [];
+  }
+
+  /**
+   * Add a modifier
+   * @param {object} modifier - { stat, type, value, source }
+   *   stat: stat name ('attack', 'maxHealth', 'critChance', ...)
+   *   type: 'flat', 'percentAdd' or 'percentMult'
+   *   value: amount (flat) or fraction (0.1 = +10%)
+   *   source: tag naming where the bonus comes from
+   * @returns {object|null} The stored modifier, or null if invalid
+   */
+  add(modifier) {
+    if (!MODIFIER_TYPES.includes(modifier.type)) {
+      console.warn(`Unknown modifier type: ${modifier.type}`);
+      return null;
+    }
+
+    const stored = {
+      stat: modifier.stat,
+      type: modifier.type,
+      value: modifier.value,
+      source: modifier.source || 'Unknown'
+    };
+    this.modifiers.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove every modifier added by a source
+   * @param {string} source - Source tag
+   * @returns {number} How many modifiers were removed
+   */
+  removeBySource(source) {
+    const before = this.modifiers.length;
+    this.modifiers = this.modifiers.filter(m => m.source !== source);
+    return before - this.modifiers.length;
+  }
+
+  /**
+   * Get all modifiers for one stat
+   * @param {string} stat - Stat name
+   * @returns {Array<object>} Modifiers affecting the stat
+   */
+  getModifiers(stat) {
+    return this.modifiers.filter(m => m.stat === stat);
+  }
+
+  /**
+   * Apply all modifiers for a stat to its base value
+   * @param {string} stat - Stat name
+   * @param {number|BigNum} baseValue - Value before modifiers
+   * @returns {BigNum} Final value
+   */
+  apply(stat, baseValue) {
+    return this.getBreakdown(stat, baseValue).total;
+  }
+
+  /**
+   * Explain how a stat's final value is built
+   * Each part's amount is how much that source added to the final value
+   *
+   * @param {string} stat - Stat name
+   * @param {number|BigNum} baseValue - Value before modifiers
+   * @returns {{base: number|BigNum, total: BigNum, parts: Array<{source: string, amount: BigNum}>}}
+   *   Breakdown with one part per source
+   */
+  getBreakdown(stat, baseValue) {
+    const modifiers = this.getModifiers(stat);
+    const amounts = {}; // source -> amount added
+    const addAmount = (source, amount) => {
+      amounts[source] = (amounts[source] || BigNum.from(0)).add(amount);
+    };
+
+    // Flat bonuses
+    let total = BigNum.from(baseValue);
+    modifiers
+      .filter(m => m.type === 'flat')
+      .forEach(m => {
+        total = total.add(m.value);
+        addAmount(m.source, m.value);
+      });
+
+    // Additive percentages all scale the same (base + flat) value
+    const flatTotal = total;
+    modifiers
+      .filter(m => m.type === 'percentAdd')
+      .forEach(m => {
+        const amount = flatTotal.mul(m.value);
+        total = total.add(amount);
+        addAmount(m.source, amount);
+      });
+
+    // Multiplicative percentages compound on the running total
+    modifiers
+      .filter(m => m.type === 'percentMult')
+      .forEach(m => {
+        const amount = total.mul(m.value);
+        total = total.add(amount);
+        addAmount(m.source, amount);
+      });
+
+    return {
+      base: baseValue,
+      total: total,
+      parts: Object.keys(amounts).map(source => ({
+        source: source,
+        amount: amounts[source]
+      }))
+    };
+  }
+
+  /**
+   * Remove all modifiers
+   */
+  clear() {
+    this.modifiers = [];
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Status Effects - Burn, poison, stun, shield and slow
+ *
+ * Effects are shared by heroes and enemies: every combatant owns a
+ * StatusEffects list, and BattleManager.executeRound() ticks it once per round.
+ * Durations and tick intervals are counted in battle rounds, so effects run
+ * at the same pace as attacks at any game speed.
+ *
+ * Stacking rules:
+ * - 'stack': each application adds a stack (up to maxStacks) and refreshes duration
+ * - 'refresh': re-applying just resets the duration
+ * - 'replace': the stronger application wins (e.g. the bigger shield)
+ */
+
+import { BigNum } from './bigNumber.js';
+
+/**
+ * Effect definitions
+ * power means: damage per stack per tick (burn, poison) or HP absorbed (shield),
+ * held as a BigNum
+ */
+export const STATUS_EFFECT_TYPES = {
+  burn: {
+    name: 'Burn',
+    icon: '🔥',
+    color: '#f97316',
+    duration: 3,
+    tickInterval: 1,
+    stacking: 'stack',
+    maxStacks: 3
+  },
+  poison: {
+    name: 'Poison',
+    icon: '☠️',
+    color: '#22c55e',
+    duration: 5,
+    tickInterval: 1,
+    stacking: 'stack',
+    maxStacks: 5
+  },
+  stun: {
+    name: 'Stun',
+    icon: '💫',
+    color: '#facc15',
+    duration: 1,
+    tickInterval: 0,
+    stacking: 'refresh',
+    maxStacks: 1
+  },
+  shield: {
+    name: 'Shield',
+    icon: '🛡️',
+    color: '#60a5fa',
+    duration: 5,
+    tickInterval: 0,
+    stacking: 'replace',
+    maxStacks: 1
+  },
+  slow: {
+    name: 'Slow',
+    icon: '🐌',
+    color: '#93c5fd',
+    duration: 3,
+    tickInterval: 0,
+    stacking: 'refresh',
+    maxStacks: 1
+  }
+};
+
+/**
+ * StatusEffect - One active effect on a combatant
+ */
+export class StatusEffect {
+  /**
+   * @param {string} type - Key in STATUS_EFFECT_TYPES
+   * @param {number|BigNum} power - Damage per stack per tick, or shield HP
+   * @param {number} duration - Rounds the effect lasts
+   */
+  constructor(type, power, duration) {
+    const definition = STATUS_EFFECT_TYPES[type];
+
+    this.type = type;
+    this.name = definition.name;
+    this.icon = definition.icon;
+    this.color = definition.color;
+    this.tickInterval = definition.tickInterval;
+    this.power = BigNum.from(power);
+    this.stacks = 1;
+    this.remaining = duration; // Rounds left
+    this.elapsed = 0; // Rounds active so far
+  }
+
+  /**
+   * Check if the effect has run out
+   * @returns {boolean} True if expired
+   */
+  isExpired() {
+    if (this.type === 'shield' && this.power.lte(0)) return true;
+    return this.remaining <= 0;
+  }
+}
+
+/**
+ * StatusEffects - The list of effects on one hero or enemy
+ */
+export class StatusEffects {
+  constructor() {
+    this.effects = [];
+  }
+
+  /**
+   * Apply an effect, following its stacking rule
+   * @param {string} type - Key in STATUS_EFFECT_TYPES
+   * @param {number|BigNum} power - Damage per tick, or shield HP (0 for stun/slow)
+   * @param {number} duration - Rounds (defaults to the type's duration)
+   * @returns {StatusEffect|null} The active effect, or null for unknown types
+   */
+  apply(type, power = 0, duration) {
+    const definition = STATUS_EFFECT_TYPES[type];
+    if (!definition) {
+      console.warn(`Unknown status effect: ${type}`);
+      return null;
+    }
+
+    const rounds = duration || definition.duration;
+    const existing = this.get(type);
+
+    if (!existing) {
+      const effect = new StatusEffect(type, power, rounds);
+      this.effects.push(effect);
+      return effect;
+    }
+
+    switch (definition.stacking) {
+      case 'stack':
+        existing.stacks = Math.min(definition.maxStacks, existing.stacks + 1);
+        existing.power = BigNum.max(existing.power, power);
+        existing.remaining = Math.max(existing.remaining, rounds);
+        break;
+      case 'replace':
+        if (existing.power.lte(power)) {
+          existing.power = BigNum.from(power);
+          existing.remaining = rounds;
+        }
+        break;
+      case 'refresh':
+      default:
+        existing.remaining = Math.max(existing.remaining, rounds);
+        break;
+    }
+
+    return existing;
+  }
+
+  /**
+   * Get an active effect by type
+   * @param {string} type - Effect type
+   * @returns {StatusEffect|null} The effect or null
+   */
+  get(type) {
+    return this.effects.find(e => e.type === type) || null;
+  }
+
+  /**
+   * Check if an effect is active
+   * @param {string} type - Effect type
+   * @returns {boolean} True if active
+   */
+  has(type) {
+    return this.get(type) !== null;
+  }
+
+  /**
+   * Check if the combatant may act this round
+   * Stunned combatants can't act; slowed ones skip every other round,
+   * starting with the round after the slow lands
+   * @returns {boolean} True if the combatant can attack or cast
+   */
+  canAct() {
+    if (this.has('stun')) return false;
+
+    const slow = this.get('slow');
+    if (slow && slow.elapsed % 2 === 0) return false;
+
+    return true;
+  }
+
+  /**
+   * Soak up damage with an active shield
+   * @param {number|BigNum} damage - Incoming damage (after defense)
+   * @returns {BigNum} Damage left over after the shield
+   */
+  absorb(damage) {
+    const shield = this.get('shield');
+    if (!shield) return BigNum.from(damage);
+
+    const absorbed = BigNum.min(shield.power, damage);
+    shield.power = shield.power.sub(absorbed);
+
+    if (shield.isExpired()) {
+      this.effects = this.effects.filter(e => e !== shield);
+    }
+
+    return BigNum.from(damage).sub(absorbed);
+  }
+
+  /**
+   * Advance all effects by one round
+   * @returns {{damage: Array<{effect: StatusEffect, amount: BigNum}>, expired: Array<StatusEffect>}}
+   *   Damage dealt by ticking effects and effects that ran out
+   */
+  tick() {
+    const damage = [];
+    const expired = [];
+
+    this.effects.forEach(effect => {
+      effect.elapsed++;
+      effect.remaining--;
+
+      const ticks =
+        effect.tickInterval > 0 && effect.elapsed % effect.tickInterval === 0;
+      if (ticks && effect.power.gt(0) && effect.type !== 'shield') {
+        damage.push({
+          effect: effect,
+          amount: effect.power.mul(effect.stacks).floor()
+        });
+      }
+
+      if (effect.isExpired()) {
+        expired.push(effect);
+      }
+    });
+
+    this.effects = this.effects.filter(e => !e.isExpired());
+
+    return { damage: damage, expired: expired };
+  }
+
+  /**
+   * Remove all effects (new battle, respawn)
+   */
+  clear() {
+    this.effects = [];
+  }
+
+  /**
+   * Get all active effects (for rendering)
+   * @returns {Array<StatusEffect>} Active effects
+   */
+  getActive() {
+    return this.effects;
+  }
+}
@@ -1,48 +1,336 @@
 /**
  * Storage System
  *
- * Handles saving and loading game data to/from browser's LocalStorage.
+ * Handles saving and loading game data through a storage adapter
+ * (IndexedDB in browsers that support it - see storageAdapters.js).
  *
- * Learning Note: LocalStorage lets you save data in the browser.
+ * Learning Note: Browser storage lets you save data in the browser.
  * Even after closing the tab, the data persists!
- * It only stores strings, so we convert objects to JSON.
+ * We store strings, so we convert objects to JSON.
+ * Storage is asynchronous, so every save/load returns a Promise.
  */
 
-class StorageManager {
-    constructor() {
-        this.SAVE_KEY = 'bartimaeus_rpg_save'; // Key name in LocalStorage
+import { Hero, createStartingHeroes } from './hero.js';
+import { CURRENT_SAVE_VERSION, migrateSaveState } from './saveMigrations.js';
+import {
+    LocalStorageStorageAdapter,
+    createDefaultStorageAdapter,
+    moveLocalStorageSaves
+} from './storageAdapters.js';
+
+/**
+ * Save slot used when the player hasn't picked one
+ * (stored under the original SAVE_KEY so older saves keep working)
+ */
+export const DEFAULT_SAVE_SLOT = 'main';
+
+/**
+ * How many recent autosaves each slot keeps as backups
+ */
+export const SAVE_BACKUP_COUNT = 5;
+
+export class StorageManager {
+    /**
+     * @param {object} adapter - Storage adapter (see storageAdapters.js);
+     *   defaults to the best one the browser supports
+     */
+    constructor(adapter = createDefaultStorageAdapter()) {
+        this.adapter = adapter;
+
+        this.SAVE_KEY = 'bartimaeus_rpg_save'; // Key of the default slot's save
+        this.SLOTS_KEY = 'bartimaeus_rpg_slots'; // Slot list (names, progress summary)
+        this.ACTIVE_SLOT_KEY = 'bartimaeus_rpg_active_slot'; // Last played slot
+
+        // Slot that saveGame()/loadGame() read and write (restored in init())
+        this.activeSlot = DEFAULT_SAVE_SLOT;
+
+        // Set when the stored save can't be loaded (e.g. it's from a newer version).
+        // Saving is blocked while set so the stored save isn't overwritten.
+        this.loadError = null;
+
+        // Set when loadGame() had to fall back to a backup: 'autosave' or 'daily'
+        this.restoredFrom = null;
+
+        // Optional AdventureLog - migrations applied on load are logged here
+        this.adventureLog = null;
+
+        // Writes run one after another so an older save can't land after a newer one
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Prepare storage: move old localStorage saves into the adapter (once)
+     * and restore the last played slot. Call before anything else.
+     */
+    async init() {
+        try {
+            const moved = await moveLocalStorageSaves(this.adapter, 'bartimaeus_rpg');
+            if (moved > 0) {
+                console.log(`Moved ${moved} saved entries from localStorage to ${this.adapter.name}`);
+            }
+        } catch (error) {
+            // Keep playing from localStorage rather than lose the old saves
+            console.error(`Failed to move saves to ${this.adapter.name}:`, error);
+            this.adapter = new LocalStorageStorageAdapter();
+        }
+
+        this.activeSlot = (await this.adapter.getItem(this.ACTIVE_SLOT_KEY)) || DEFAULT_SAVE_SLOT;
+    }
+
+    /**
+     * Get the storage key of a slot's save
+     *
+     * @param {string} slotId - Slot ID
+     * @returns {string} Storage key
+     */
+    getSlotKey(slotId) {
+        return slotId === DEFAULT_SAVE_SLOT ? this.SAVE_KEY : `${this.SAVE_KEY}:${slotId}`;
+    }
+
+    /**
+     * Get all save slots
+     * The default slot is listed if it has a save (e.g. from before slots existed)
+     *
+     * @returns {Promise<Array<object>>} Slots: { id, name, createdAt, lastSaveTime, stage, heroLevel }
+     */
+    async getSlots() {
+        let slots = [];
+        try {
+            slots = JSON.parse(await this.adapter.getItem(this.SLOTS_KEY)) || [];
+        } catch (error) {
+            console.error('Failed to read save slots:', error);
+        }
+
+        const hasDefault = slots.some(slot => slot.id === DEFAULT_SAVE_SLOT);
+        if (!hasDefault && (await this.adapter.getItem(this.SAVE_KEY)) !== null) {
+            slots.unshift({
+                id: DEFAULT_SAVE_SLOT,
+                name: 'Main Save',
+                createdAt: null,
+                lastSaveTime: null,
+                stage: null,
+                heroLevel: null
+            });
+        }
+
+        return slots;
+    }
+
+    /**
+     * Write the slot list
+     *
+     * @param {Array<object>} slots - Slots to store
+     */
+    async setSlots(slots) {
+        await this.adapter.setItem(this.SLOTS_KEY, JSON.stringify(slots));
+    }
+
+    /**
+     * Create a new, empty save slot
+     *
+     * @param {string} name - Display name
+     * @returns {Promise<object>} The new slot
+     */
+    async createSlot(name) {
+        const slots = await this.getSlots();
+        const slot = {
+            id: `slot_${Date.now().toString(36)}`,
+            name: name || `Save ${slots.length + 1}`,
+            createdAt: Date.now(),
+            lastSaveTime: null,
+            stage: null,
+            heroLevel: null
+        };
+
+        slots.push(slot);
+        await this.setSlots(slots);
+        return slot;
+    }
+
+    /**
+     * Delete a slot with its save and backups
+     *
+     * @param {string} slotId - Slot ID
+     */
+    async deleteSlot(slotId) {
+        const key = this.getSlotKey(slotId);
+        await this.adapter.removeItem(key);
+        await this.adapter.removeItem(`${key}:backups`);
+        await this.adapter.removeItem(`${key}:daily`);
+
+        await this.setSlots((await this.getSlots()).filter(slot => slot.id !== slotId));
+
+        if (this.activeSlot === slotId) {
+            await this.setActiveSlot(DEFAULT_SAVE_SLOT);
+        }
+    }
+
+    /**
+     * Switch the slot used by saveGame()/loadGame()
+     * Remembered so the slot picker can offer it first next time
+     *
+     * @param {string} slotId - Slot ID
+     */
+    async setActiveSlot(slotId) {
+        this.activeSlot = slotId;
+        this.loadError = null;
+        this.restoredFrom = null;
+        await this.adapter.setItem(this.ACTIVE_SLOT_KEY, slotId);
+    }
+
+    /**
+     * Update a slot's progress summary after saving
+     *
+     * @param {string} slotId - Slot ID
+     * @param {object} gameState - The saved state
+     */
+    async updateSlotSummary(slotId, gameState) {
+        const slots = await this.getSlots();
+        let slot = slots.find(s => s.id === slotId);
+        if (!slot) {
+            slot = { id: slotId, name: 'Main Save', createdAt: Date.now() };
+            slots.push(slot);
+        }
+
+        slot.lastSaveTime = gameState.lastSaveTime || Date.now();
+        slot.stage = gameState.currentStage;
+        slot.heroLevel = (gameState.heroes || []).reduce(
+            (max, hero) => Math.max(max, hero.level),
+            0
+        );
+        await this.setSlots(slots);
     }
 
     /**
-     * Save the entire game state to LocalStorage
+     * Save the entire game state (active slot)
+     * Autosaves are also kept in the slot's rolling backups; other saves
+     * (after upgrades, claims, ...) only update the daily snapshot
      *
      * @param {object} gameState - Object containing all game data
+     * @param {object} options - { isAutosave: true to rotate the backups }
+     * @returns {Promise<boolean>} True if saved
+     */
+    saveGame(gameState, options = {}) {
+        const isAutosave = Boolean(options.isAutosave);
+
+        if (this.loadError) {
+            console.warn('Not saving - the stored save could not be loaded:', this.loadError);
+            return Promise.resolve(false);
+        }
+
+        // Serialize now so later changes to the game don't leak into this save
+        const saveData = JSON.stringify(gameState);
+        const slotId = this.activeSlot;
+
+        const write = this.writeQueue.then(async () => {
+            try {
+                const key = this.getSlotKey(slotId);
+                await this.adapter.setItem(key, saveData);
+
+                await this.writeBackups(key, saveData, isAutosave);
+                await this.updateSlotSummary(slotId, gameState);
+
+                console.log('Game saved successfully!');
+                return true;
+            } catch (error) {
+                console.error('Failed to save game:', error);
+                return false;
+            }
+        });
+
+        this.writeQueue = write;
+        return write;
+    }
+
+    /**
+     * Keep a save in the rolling backups:
+     * the last SAVE_BACKUP_COUNT autosaves, plus the first save of each day
+     *
+     * @param {string} key - Slot storage key
+     * @param {string} saveData - Save JSON
+     * @param {boolean} isAutosave - Rotate it into the autosave backups
      */
-    saveGame(gameState) {
+    async writeBackups(key, saveData, isAutosave) {
         try {
-            // Convert JavaScript object to JSON string
-            const saveData = JSON.stringify(gameState);
+            if (isAutosave) {
+                const backups = await this.readBackups(key);
+                backups.unshift({ savedAt: Date.now(), data: saveData });
+                await this.adapter.setItem(
+                    `${key}:backups`,
+                    JSON.stringify(backups.slice(0, SAVE_BACKUP_COUNT))
+                );
+            }
+
+            const today = new Date().toISOString().slice(0, 10);
+            const daily = await this.readDailySnapshot(key);
+            if (!daily || daily.date !== today) {
+                await this.adapter.setItem(
+                    `${key}:daily`,
+                    JSON.stringify({ date: today, savedAt: Date.now(), data: saveData })
+                );
+            }
+        } catch (error) {
+            // Backups are best effort - the main save already succeeded
+            console.warn('Failed to write save backups:', error);
+        }
+    }
 
-            // Save to LocalStorage
-            localStorage.setItem(this.SAVE_KEY, saveData);
+    /**
+     * Read a slot's autosave backups (newest first)
+     *
+     * @param {string} key - Slot storage key
+     * @returns {Promise<Array<{savedAt: number, data: string}>>} Backups
+     */
+    async readBackups(key) {
+        try {
+            return JSON.parse(await this.adapter.getItem(`${key}:backups`)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
 
-            console.log('Game saved successfully!');
-            return true;
+    /**
+     * Read a slot's daily snapshot
+     *
+     * @param {string} key - Slot storage key
+     * @returns {Promise<{date: string, savedAt: number, data: string}|null>} Snapshot or null
+     */
+    async readDailySnapshot(key) {
+        try {
+            return JSON.parse(await this.adapter.getItem(`${key}:daily`));
         } catch (error) {
-            console.error('Failed to save game:', error);
-            return false;
+            return null;
         }
     }
 
     /**
-     * Load game state from LocalStorage
+     * Replace the stored save (e.g. with an imported one)
+     * Unlike saveGame(), this also overwrites a save that failed to load
      *
-     * @returns {object|null} Saved game state, or null if no save exists
+     * @param {object} gameState - Save state at the current version
+     * @returns {Promise<boolean>} True if saved
      */
-    loadGame() {
+    replaceSave(gameState) {
+        this.loadError = null;
+        return this.saveGame(gameState);
+    }
+
+    /**
+     * Load game state (active slot)
+     * Older saves are migrated to the current version; saves that can't be
+     * migrated (newer version, invalid data) set loadError and return null.
+     * A save that can't be parsed is restored from the newest working backup.
+     *
+     * @returns {Promise<object|null>} Saved game state, or null if no save exists
+     */
+    async loadGame() {
+        this.restoredFrom = null;
+
         try {
-            // Get saved data from LocalStorage
-            const saveData = localStorage.getItem(this.SAVE_KEY);
+            const key = this.getSlotKey(this.activeSlot);
+
+            // Get saved data from storage
+            const saveData = await this.adapter.getItem(key);
 
             // If no save exists, return null
             if (!saveData) {
@@ -51,40 +339,157 @@ class StorageManager {
             }
 
             // Convert JSON string back to JavaScript object
-            const gameState = JSON.parse(saveData);
+            let gameState;
+            try {
+                gameState = JSON.parse(saveData);
+            } catch (error) {
+                console.error('Save is corrupted, trying backups:', error);
+                return await this.restoreFromBackup(key);
+            }
 
-            console.log('Game loaded successfully!');
-            return gameState;
+            return this.prepareLoadedSave(gameState);
         } catch (error) {
             console.error('Failed to load game:', error);
             return null;
         }
     }
 
+    /**
+     * Migrate and validate a parsed save
+     *
+     * @param {object} gameState - Parsed save
+     * @returns {object|null} Save at the current version, or null (sets loadError)
+     */
+    prepareLoadedSave(gameState) {
+        // Upgrade older saves to the current shape
+        const migration = migrateSaveState(gameState);
+        this.logMigrations(migration);
+
+        if (!migration.ok) {
+            this.loadError = migration.error;
+            console.error('Failed to load game:', migration.error);
+            return null;
+        }
+
+        console.log('Game loaded successfully!');
+        return migration.save;
+    }
+
+    /**
+     * Report each migration step a loaded save went through
+     * (console and adventure log)
+     *
+     * @param {{applied: Array<{from: string, to: string, description: string}>}} migration
+     *   Result of migrateSaveState
+     */
+    logMigrations(migration) {
+        migration.applied.forEach(step => {
+            console.log(`Save migrated ${step.from} -> ${step.to}: ${step.description}`);
+            if (this.adventureLog) {
+                this.adventureLog.logMigration(`Save updated to v${step.to}: ${step.description}`);
+            }
+        });
+    }
+
+    /**
+     * Load the newest backup that still parses and migrates
+     * Tries the autosave backups first, then the daily snapshot
+     *
+     * @param {string} key - Slot storage key
+     * @returns {Promise<object|null>} Restored save, or null (sets loadError) if none work
+     */
+    async restoreFromBackup(key) {
+        const candidates = (await this.readBackups(key)).map(backup => ({
+            source: 'autosave',
+            backup: backup
+        }));
+        const daily = await this.readDailySnapshot(key);
+        if (daily) {
+            candidates.push({ source: 'daily', backup: daily });
+        }
+
+        for (const candidate of candidates) {
+            let gameState;
+            try {
+                gameState = JSON.parse(candidate.backup.data);
+            } catch (error) {
+                continue;
+            }
+
+            const migration = migrateSaveState(gameState);
+            if (!migration.ok) continue;
+
+            const savedAt = new Date(candidate.backup.savedAt).toLocaleString();
+            console.warn(`Restored save from ${candidate.source} backup (${savedAt})`);
+            if (this.adventureLog) {
+                this.adventureLog.logStory(
+                    `🩹 Your save was damaged - restored the ${candidate.source} backup from ${savedAt}`
+                );
+            }
+            this.logMigrations(migration);
+
+            this.restoredFrom = candidate.source;
+            return migration.save;
+        }
+
+        this.loadError = 'Save is corrupted and no working backup was found';
+        return null;
+    }
+
+    /**
+     * Read a stored setting (JSON)
+     *
+     * @param {string} key - Setting key
+     * @returns {Promise<any>} Stored value, or null
+     */
+    async loadSetting(key) {
+        try {
+            return JSON.parse(await this.adapter.getItem(key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store a setting (JSON)
+     *
+     * @param {string} key - Setting key
+     * @param {any} value - Value to store
+     */
+    async saveSetting(key, value) {
+        try {
+            await this.adapter.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error(`Failed to store setting ${key}:`, error);
+        }
+    }
+
     /**
      * Check if a saved game exists
      *
-     * @returns {boolean} True if save exists
+     * @returns {Promise<boolean>} True if save exists
      */
-    hasSavedGame() {
-        return localStorage.getItem(this.SAVE_KEY) !== null;
+    async hasSavedGame() {
+        return (await this.adapter.getItem(this.getSlotKey(this.activeSlot))) !== null;
     }
 
     /**
      * Delete saved game (for testing or reset)
+     * Backups are kept - use deleteSlot() to remove everything
      */
-    deleteSave() {
-        localStorage.removeItem(this.SAVE_KEY);
+    async deleteSave() {
+        await this.adapter.removeItem(this.getSlotKey(this.activeSlot));
+        this.loadError = null; // Nothing left to protect, saving is allowed again
         console.log('Save deleted');
     }
 
     /**
      * Get the last save time
      *
-     * @returns {number|null} Timestamp of last save, or null
+     * @returns {Promise<number|null>} Timestamp of last save, or null
      */
-    getLastSaveTime() {
-        const saveData = this.loadGame();
+    async getLastSaveTime() {
+        const saveData = await this.loadGame();
         if (saveData && saveData.lastSaveTime) {
             return saveData.lastSaveTime;
         }
@@ -95,19 +500,29 @@ class StorageManager {
 /**
  * Create a game state object that can be saved
  *
- * @param {Hero|Array<Hero>} heroes - Player's hero(es)
+ * @param {Hero|Array<Hero>} heroes - Player's hero roster (party membership is saved per hero)
  * @param {ResourceManager} resources - Resource manager
  * @param {number} currentStage - Current stage number
+ * @param {Inventory} inventory - Unequipped items (optional)
+ * @param {SummonManager} summoning - Summon pity and hero shards (optional)
+ * @param {AfkChest} afkChest - AFK chest contents and upgrades (optional)
+ * @param {PrestigeManager} prestige - Essence and permanent upgrades (optional)
+ * @param {SeededRandom} rng - Gameplay RNG seed and position (optional)
  * @returns {object} Complete game state
  */
-function createSaveState(heroes, resources, currentStage) {
+export function createSaveState(heroes, resources, currentStage, inventory, summoning, afkChest, prestige, rng) {
     return {
-        version: '1.0', // Save file version (for future compatibility)
+        version: CURRENT_SAVE_VERSION, // Schema version (see saveMigrations.js)
         lastSaveTime: Date.now(),
         currentStage: currentStage,
         // Handle single hero or array for backward compatibility
         heroes: heroes ? (Array.isArray(heroes) ? heroes.map(hero => hero.toJSON()) : [heroes.toJSON()]) : [],
-        resources: resources.toJSON()
+        resources: resources.toJSON(),
+        inventory: inventory ? inventory.toJSON() : [],
+        summoning: summoning ? summoning.toJSON() : {},
+        afkChest: afkChest ? afkChest.toJSON() : {},
+        prestige: prestige ? prestige.toJSON() : {},
+        rng: rng ? rng.toJSON() : {}
     };
 }
 
@@ -115,17 +530,16 @@ function createSaveState(heroes, resources, currentStage) {
  * Load heroes from saved state
  *
  * @param {object} saveState - Saved game state
- * @returns {Hero} Reconstructed hero (single hero in horde mode)
+ * @returns {Array<Hero>} Reconstructed hero roster
  */
-function loadHeroesFromSave(saveState) {
+export function loadHeroesFromSave(saveState) {
     if (!saveState || !saveState.heroes || saveState.heroes.length === 0) {
-        // No save data, return starting hero
+        // No save data, return starting heroes
         return createStartingHeroes();
     }
 
-    // Reconstruct hero from saved data (now returns single hero, not array)
-    // Take the first hero from the array for backward compatibility
-    return Hero.fromJSON(saveState.heroes[0]);
+    // Reconstruct every hero from saved data
+    return saveState.heroes.map(heroData => Hero.fromJSON(heroData));
 }
 
 /**
@@ -134,19 +548,79 @@ function loadHeroesFromSave(saveState) {
  * @param {object} saveState - Saved game state
  * @param {ResourceManager} resourceManager - Resource manager to populate
  */
-function loadResourcesFromSave(saveState, resourceManager) {
+export function loadResourcesFromSave(saveState, resourceManager) {
     if (saveState && saveState.resources) {
         resourceManager.fromJSON(saveState.resources);
     }
 }
 
+/**
+ * Load inventory from saved state
+ *
+ * @param {object} saveState - Saved game state
+ * @param {Inventory} inventory - Inventory to populate
+ */
+export function loadInventoryFromSave(saveState, inventory) {
+    if (saveState && saveState.inventory) {
+        inventory.fromJSON(saveState.inventory);
+    }
+}
+
+/**
+ * Load summoning progress (pity counter, hero shards) from saved state
+ *
+ * @param {object} saveState - Saved game state
+ * @param {SummonManager} summonManager - Summon manager to populate
+ */
+export function loadSummoningFromSave(saveState, summonManager) {
+    if (saveState && saveState.summoning) {
+        summonManager.fromJSON(saveState.summoning);
+    }
+}
+
+/**
+ * Load the AFK chest (contents and upgrades) from saved state
+ *
+ * @param {object} saveState - Saved game state
+ * @param {AfkChest} afkChest - AFK chest to populate
+ */
+export function loadAfkChestFromSave(saveState, afkChest) {
+    if (saveState && saveState.afkChest) {
+        afkChest.fromJSON(saveState.afkChest);
+    }
+}
+
+/**
+ * Load prestige progress (essence, permanent upgrades) from saved state
+ *
+ * @param {object} saveState - Saved game state
+ * @param {PrestigeManager} prestigeManager - Prestige manager to populate
+ */
+export function loadPrestigeFromSave(saveState, prestigeManager) {
+    if (saveState && saveState.prestige) {
+        prestigeManager.fromJSON(saveState.prestige);
+    }
+}
+
+/**
+ * Load the gameplay RNG (seed and position in its sequence) from saved state
+ *
+ * @param {object} saveState - Saved game state
+ * @param {SeededRandom} rng - Generator to restore
+ */
+export function loadRandomFromSave(saveState, rng) {
+    if (saveState && saveState.rng && saveState.rng.seed !== undefined) {
+        rng.fromJSON(saveState.rng);
+    }
+}
+
 /**
  * Load current stage from saved state
  *
  * @param {object} saveState - Saved game state
  * @returns {number} Stage number (default 1)
  */
-function loadStageFromSave(saveState) {
+export function loadStageFromSave(saveState) {
     if (saveState && saveState.currentStage) {
         return saveState.currentStage;
     }
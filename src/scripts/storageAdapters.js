@@ -0,0 +1,184 @@
+/**
+ * Storage Adapters - Where StorageManager keeps its data
+ *
+ * Every adapter stores string values under string keys and has the same
+ * async interface, so StorageManager doesn't care which one it gets:
+ *   getItem(key) -> string|null, setItem(key, value), removeItem(key), keys()
+ *
+ * - IndexedDBStorageAdapter: the default in browsers (large, asynchronous)
+ * - LocalStorageStorageAdapter: fallback where IndexedDB is unavailable
+ * - MemoryStorageAdapter: nothing persists (tests, private browsing fallback)
+ */
+
+/**
+ * Keeps everything in a Map for the lifetime of the page
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.data = new Map();
+  }
+
+  async getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.data.set(key, String(value));
+  }
+
+  async removeItem(key) {
+    this.data.delete(key);
+  }
+
+  async keys() {
+    return Array.from(this.data.keys());
+  }
+}
+
+/**
+ * Wraps the browser's synchronous localStorage
+ */
+export class LocalStorageStorageAdapter {
+  constructor() {
+    this.name = 'localStorage';
+  }
+
+  async getItem(key) {
+    return localStorage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    localStorage.setItem(key, String(value));
+  }
+
+  async removeItem(key) {
+    localStorage.removeItem(key);
+  }
+
+  async keys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      keys.push(localStorage.key(i));
+    }
+    return keys;
+  }
+}
+
+/**
+ * Stores key/value pairs in one IndexedDB object store
+ */
+export class IndexedDBStorageAdapter {
+  /**
+   * @param {string} dbName - Database name
+   * @param {string} storeName - Object store name
+   */
+  constructor(dbName = 'bartimaeus_rpg', storeName = 'saves') {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null; // Opened on first use
+  }
+
+  /**
+   * Open (and create on first run) the database
+   * @returns {Promise<IDBDatabase>} The open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} makeRequest - (store) => IDBRequest
+   * @returns {Promise<any>} The request's result (resolves once the transaction completes)
+   */
+  async run(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async getItem(key) {
+    const value = await this.run('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this.run('readwrite', store => store.put(String(value), key));
+  }
+
+  async removeItem(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+
+  async keys() {
+    const keys = await this.run('readonly', store => store.getAllKeys());
+    return keys.map(String);
+  }
+}
+
+/**
+ * Pick the best adapter this browser supports
+ *
+ * @returns {object} Storage adapter
+ */
+export function createDefaultStorageAdapter() {
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDBStorageAdapter();
+  }
+  if (typeof localStorage !== 'undefined') {
+    return new LocalStorageStorageAdapter();
+  }
+  return new MemoryStorageAdapter();
+}
+
+/**
+ * Move saves from localStorage into another adapter (once)
+ * Copies every key starting with the prefix, then removes the originals.
+ * A marker key in the target makes later calls do nothing.
+ *
+ * @param {object} adapter - Target adapter
+ * @param {string} prefix - Only keys starting with this are moved
+ * @returns {Promise<number>} How many keys were moved
+ */
+export async function moveLocalStorageSaves(adapter, prefix) {
+  const markerKey = `${prefix}_moved_from_localStorage`;
+  if (adapter.name === 'localStorage' || typeof localStorage === 'undefined') {
+    return 0;
+  }
+  if ((await adapter.getItem(markerKey)) !== null) {
+    return 0;
+  }
+
+  const source = new LocalStorageStorageAdapter();
+  const keys = (await source.keys()).filter(key => key.startsWith(prefix));
+
+  // Copy everything first; only delete once every write succeeded
+  for (const key of keys) {
+    await adapter.setItem(key, await source.getItem(key));
+  }
+  await adapter.setItem(markerKey, String(Date.now()));
+
+  for (const key of keys) {
+    await source.removeItem(key);
+  }
+
+  return keys.length;
+}
@@ -0,0 +1,297 @@
+/**
+ * Summoning System - Recruit heroes with gems
+ *
+ * Each summon rolls a rarity, then a random hero of that rarity from the
+ * hero pool. New heroes join the roster (and the party, if there's room);
+ * heroes you already own turn into hero shards instead.
+ *
+ * Pity: after SUMMON_PITY_THRESHOLD summons without a legendary hero,
+ * the next summon is guaranteed to be legendary.
+ */
+
+import { SeededRandom } from './random.js';
+import { MAX_PARTY_SIZE, Hero, getPartyFromRoster } from './hero.js';
+
+/**
+ * Hero rarity tiers
+ * weight: relative summon chance, shards: shards granted for a duplicate
+ */
+export const HERO_RARITIES = {
+  rare: { name: 'Rare', color: '#3b82f6', weight: 75, shards: 5 },
+  epic: { name: 'Epic', color: '#a855f7', weight: 22, shards: 10 },
+  legendary: { name: 'Legendary', color: '#f59e0b', weight: 3, shards: 25 }
+};
+
+/**
+ * Every hero that can be summoned
+ * Keyed by template ID (saved on the hero so duplicates can be detected)
+ */
+export const HERO_POOL = {
+  kitty: {
+    name: 'Kitty',
+    role: 'Damage',
+    rarity: 'rare',
+    baseHealth: 300,
+    baseAttack: 45,
+    baseDefense: 10,
+    skills: ['fireball']
+  },
+  nathaniel: {
+    name: 'Nathaniel',
+    role: 'Support',
+    rarity: 'rare',
+    baseHealth: 320,
+    baseAttack: 25,
+    baseDefense: 12,
+    skills: ['fireball']
+  },
+  queezle: {
+    name: 'Queezle',
+    role: 'Support',
+    rarity: 'rare',
+    baseHealth: 290,
+    baseAttack: 28,
+    baseDefense: 11,
+    skills: ['heal']
+  },
+  simpkin: {
+    name: 'Simpkin',
+    role: 'Damage',
+    rarity: 'rare',
+    baseHealth: 260,
+    baseAttack: 42,
+    baseDefense: 8,
+    skills: ['fireball']
+  },
+  bartimaeus: {
+    name: 'Bartimaeus',
+    role: 'Tank',
+    rarity: 'epic',
+    baseHealth: 500,
+    baseAttack: 30,
+    baseDefense: 25,
+    skills: ['fireball']
+  },
+  faquarl: {
+    name: 'Faquarl',
+    role: 'Tank',
+    rarity: 'epic',
+    baseHealth: 540,
+    baseAttack: 32,
+    baseDefense: 27,
+    skills: ['cleave']
+  },
+  asmira: {
+    name: 'Asmira',
+    role: 'Damage',
+    rarity: 'epic',
+    baseHealth: 340,
+    baseAttack: 55,
+    baseDefense: 12,
+    skills: ['fireball', 'cleave']
+  },
+  jabor: {
+    name: 'Jabor',
+    role: 'Tank',
+    rarity: 'legendary',
+    baseHealth: 700,
+    baseAttack: 40,
+    baseDefense: 35,
+    skills: ['cleave', 'heal']
+  },
+  ramuthra: {
+    name: 'Ramuthra',
+    role: 'Damage',
+    rarity: 'legendary',
+    baseHealth: 400,
+    baseAttack: 75,
+    baseDefense: 15,
+    skills: ['fireball', 'cleave']
+  },
+  ptolemy: {
+    name: 'Ptolemy',
+    role: 'Support',
+    rarity: 'legendary',
+    baseHealth: 420,
+    baseAttack: 35,
+    baseDefense: 18,
+    skills: ['heal', 'fireball']
+  }
+};
+
+/**
+ * Gem cost of a single summon and of a 10x summon (one free pull)
+ */
+export const SUMMON_COST = 100;
+export const SUMMON_MULTI_COST = 900;
+
+/**
+ * Summons without a legendary hero before one is guaranteed
+ */
+export const SUMMON_PITY_THRESHOLD = 50;
+
+/**
+ * Create a hero from a pool entry
+ *
+ * @param {string} templateId - Key in HERO_POOL
+ * @param {number} id - Unique hero ID for the roster
+ * @returns {Hero} New level 1 hero
+ */
+export function createHeroFromTemplate(templateId, id) {
+  const template = HERO_POOL[templateId];
+  const hero = new Hero(
+    id,
+    template.name,
+    template.role,
+    template.baseHealth,
+    template.baseAttack,
+    template.baseDefense
+  );
+
+  hero.templateId = templateId;
+  hero.unlockedSkills = template.skills.slice();
+  return hero;
+}
+
+/**
+ * SummonManager - Rolls summons and tracks pity and hero shards
+ */
+export class SummonManager {
+  /**
+   * @param {SeededRandom} rng - Source of summon rolls
+   */
+  constructor(rng = new SeededRandom()) {
+    this.rng = rng;
+    this.pityCounter = 0; // Summons since the last legendary
+    this.totalSummons = 0;
+    this.shards = {}; // templateId -> shard count
+  }
+
+  /**
+   * Summons left until a legendary is guaranteed
+   * @returns {number} Remaining summons (1 = the next one)
+   */
+  getSummonsUntilPity() {
+    return SUMMON_PITY_THRESHOLD - this.pityCounter;
+  }
+
+  /**
+   * Pick a rarity using the HERO_RARITIES weights (or pity)
+   * @returns {string} Rarity key
+   */
+  rollRarity() {
+    if (this.pityCounter + 1 >= SUMMON_PITY_THRESHOLD) {
+      return 'legendary';
+    }
+
+    const rarities = Object.keys(HERO_RARITIES);
+    const totalWeight = rarities.reduce(
+      (sum, key) => sum + HERO_RARITIES[key].weight,
+      0
+    );
+
+    let roll = this.rng.next() * totalWeight;
+    for (const key of rarities) {
+      roll -= HERO_RARITIES[key].weight;
+      if (roll < 0) {
+        return key;
+      }
+    }
+    return rarities[0];
+  }
+
+  /**
+   * Pick a random hero of a rarity
+   * @param {string} rarity - Rarity key
+   * @returns {string} Template ID from HERO_POOL
+   */
+  rollHero(rarity) {
+    const candidates = Object.keys(HERO_POOL).filter(
+      templateId => HERO_POOL[templateId].rarity === rarity
+    );
+    return this.rng.pick(candidates);
+  }
+
+  /**
+   * Summon heroes into a roster
+   * New heroes are added to the roster; duplicates become shards
+   *
+   * @param {Array<Hero>} roster - The player's heroes (new heroes are pushed here)
+   * @param {number} count - How many summons
+   * @returns {Array<object>} One result per summon:
+   *   { templateId, rarity, hero (new heroes only), isDuplicate, shards }
+   */
+  summon(roster, count = 1) {
+    const results = [];
+
+    for (let i = 0; i < count; i++) {
+      const rarity = this.rollRarity();
+      const templateId = this.rollHero(rarity);
+
+      this.totalSummons++;
+      this.pityCounter = rarity === 'legendary' ? 0 : this.pityCounter + 1;
+
+      const owned = roster.some(hero => hero.templateId === templateId);
+      if (owned) {
+        const shards = HERO_RARITIES[rarity].shards;
+        this.shards[templateId] = this.getShards(templateId) + shards;
+        results.push({
+          templateId: templateId,
+          rarity: rarity,
+          hero: null,
+          isDuplicate: true,
+          shards: shards
+        });
+        continue;
+      }
+
+      const nextId = roster.reduce((max, hero) => Math.max(max, hero.id), -1) + 1;
+      const hero = createHeroFromTemplate(templateId, nextId);
+
+      // Join the party if there is room, otherwise wait on the bench
+      hero.inParty = getPartyFromRoster(roster).length < MAX_PARTY_SIZE;
+      roster.push(hero);
+
+      results.push({
+        templateId: templateId,
+        rarity: rarity,
+        hero: hero,
+        isDuplicate: false,
+        shards: 0
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Get a hero's shard count
+   * @param {string} templateId - Key in HERO_POOL
+   * @returns {number} Shards owned
+   */
+  getShards(templateId) {
+    return this.shards[templateId] || 0;
+  }
+
+  /**
+   * Serialize summoning progress for saving
+   * @returns {object} Summon data
+   */
+  toJSON() {
+    return {
+      pityCounter: this.pityCounter,
+      totalSummons: this.totalSummons,
+      shards: this.shards
+    };
+  }
+
+  /**
+   * Load summoning progress from saved data
+   * @param {object} data - Saved summon data
+   */
+  fromJSON(data) {
+    this.pityCounter = data.pityCounter || 0;
+    this.totalSummons = data.totalSummons || 0;
+    this.shards = Object.assign({}, data.shards);
+  }
+}
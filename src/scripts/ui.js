@@ -11,7 +11,29 @@
  * You draw shapes, text, and images on it using JavaScript.
  */
 
-class UIManager {
+import { BigNum, formatNumber } from './bigNumber.js';
+import { STATUS_EFFECT_TYPES } from './statusEffects.js';
+import { HERO_RARITIES, HERO_POOL, SUMMON_COST, SUMMON_MULTI_COST } from './summoning.js';
+import { PRESTIGE_MIN_STAGE, PRESTIGE_UPGRADES } from './prestige.js';
+import { AFK_CHEST_UPGRADES } from './afkChest.js';
+
+/**
+ * Stats listed in the upgrade modal, with how to format them
+ * number: whole number, percent: 0.05 -> 5.0%, multiplier: 1.05 -> 1.05x
+ */
+export const UPGRADE_MODAL_STATS = [
+  { stat: 'maxHealth', label: '❤️ HP', format: 'number' },
+  { stat: 'attack', label: '⚔️ ATK', format: 'number' },
+  { stat: 'defense', label: '🛡️ DEF', format: 'number' },
+  { stat: 'critChance', label: '🎯 Crit', format: 'percent' },
+  { stat: 'critDamage', label: '💥 Crit DMG', format: 'percent' },
+  { stat: 'dodge', label: '💨 Dodge', format: 'percent' },
+  { stat: 'accuracy', label: '👁️ Accuracy', format: 'percent' },
+  { stat: 'lifesteal', label: '🩸 Lifesteal', format: 'percent' },
+  { stat: 'attackSpeed', label: '⚡ Speed', format: 'multiplier' }
+];
+
+export class UIManager {
   constructor(canvasId) {
     // Get canvas element and 2D drawing context
     this.canvas = document.getElementById(canvasId);
@@ -40,7 +62,9 @@ class UIManager {
     const baseWidth = 800;
     const baseHeight = 400;
     const heroXRatio = 0.125;
+    const frontRowXRatio = 0.3;
     const enemyXRatio = 0.75;
+    const enemyBackRowXRatio = 0.9;
     const yPositionRatios = [0.25, 0.5, 0.75];
 
     // Get the CSS size of the canvas (fallback to attributes if not styled)
@@ -81,10 +105,15 @@ class UIManager {
       this.characterSize,
       Math.round(this.width * heroXRatio)
     );
+    this.frontRowX = Math.round(this.width * frontRowXRatio);
     this.enemyStartX = Math.min(
       this.width - this.characterSize,
       Math.round(this.width * enemyXRatio)
     );
+    this.enemyBackRowX = Math.min(
+      this.width - this.characterSize / 2,
+      Math.round(this.width * enemyBackRowXRatio)
+    );
     this.yPositions = yPositionRatios.map(ratio =>
       Math.round(this.height * ratio)
     );
@@ -96,13 +125,18 @@ class UIManager {
    * @param {Array<Hero>} heroes - Heroes to draw
    * @param {Array<Enemy>} enemies - Enemies to draw
    * @param {Array} damageNumbers - Damage numbers to draw
+   * @param {number} alpha - How far we are between the last two simulation ticks (0-1)
+   * @param {HTMLImageElement} background - The stage's background image (optional)
    */
-  render(heroes, enemies, damageNumbers) {
+  render(heroes, enemies, damageNumbers, alpha = 1, background = null) {
+    // Health bars blend between the last two ticks by this much
+    this.renderAlpha = alpha;
+
     // Clear canvas (like erasing the whiteboard)
     this.clearCanvas();
 
     // Draw background effects
-    this.drawBackground();
+    this.drawBackground(background);
 
     // Draw characters
     this.drawHeroes(heroes);
@@ -112,6 +146,24 @@ class UIManager {
     this.drawDamageNumbers(damageNumbers);
   }
 
+  /**
+   * Get a character's health percent, interpolated between simulation ticks
+   * Keeps health bars smooth even though the battle only updates every tick
+   *
+   * @param {Hero|Enemy} character - Character to measure
+   * @returns {number} Health percent (0-1)
+   */
+  getDisplayHealthPercent(character) {
+    if (character.previousHealth === undefined) {
+      return character.getHealthPercent();
+    }
+
+    const alpha = this.renderAlpha === undefined ? 1 : this.renderAlpha;
+    const previous = character.previousHealth.div(character.maxHealth).toNumber();
+    const current = character.getHealthPercent();
+    return Math.max(0, Math.min(1, previous + (current - previous) * alpha));
+  }
+
   /**
    * Clear the entire canvas
    */
@@ -121,15 +173,25 @@ class UIManager {
 
   /**
    * Draw background gradient and effects
+   * A stage background image is drawn under a dimmed gradient, so characters stay readable
+   *
+   * @param {HTMLImageElement} image - Background image (optional)
    */
-  drawBackground() {
+  drawBackground(image = null) {
+    const hasImage = image && image.complete && image.naturalWidth > 0;
+    if (hasImage) {
+      this.ctx.drawImage(image, 0, 0, this.width, this.height);
+    }
+
     // Draw a subtle gradient background
     const gradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
     gradient.addColorStop(0, '#2d1b3d');
     gradient.addColorStop(1, '#1a1a2e');
 
+    this.ctx.globalAlpha = hasImage ? 0.6 : 1;
     this.ctx.fillStyle = gradient;
     this.ctx.fillRect(0, 0, this.width, this.height);
+    this.ctx.globalAlpha = 1;
 
     // Draw dividing line between heroes and enemies
     this.ctx.strokeStyle = 'rgba(167, 139, 250, 0.3)';
@@ -141,19 +203,54 @@ class UIManager {
   }
 
   /**
-   * Draw hero (single hero in horde mode)
+   * Get evenly spaced Y positions for a column of characters
+   * Uses the fixed positions for up to 3, spreads larger groups over the canvas
+   *
+   * @param {number} count - Characters in the column
+   * @returns {Array<number>} Y position per character
+   */
+  getColumnPositions(count) {
+    if (count <= this.yPositions.length) {
+      return this.yPositions.slice(0, count);
+    }
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+      positions.push(Math.round((this.height * (i + 1)) / (count + 1)));
+    }
+    return positions;
+  }
+
+  /**
+   * Draw the party in formation
+   * Front row heroes stand closer to the enemies, back row heroes behind them
    *
    * @param {Hero|Array<Hero>} heroes - Hero or array of heroes to draw
    */
   drawHeroes(heroes) {
     // Handle single hero or array for backward compatibility
-    const heroArray = Array.isArray(heroes) ? heroes : [heroes];
+    const heroArray = (Array.isArray(heroes) ? heroes : [heroes]).filter(
+      hero => hero
+    );
 
-    heroArray.forEach((hero, index) => {
-      if (!hero) return; // Skip if hero is null/undefined
+    const frontRow = heroArray.filter(hero => hero.row === 'front');
+    const backRow = heroArray.filter(hero => hero.row !== 'front');
 
-      const x = this.heroStartX;
-      const y = this.yPositions[index];
+    this.drawHeroColumn(frontRow, this.frontRowX);
+    this.drawHeroColumn(backRow, this.heroStartX);
+  }
+
+  /**
+   * Draw one formation row of heroes
+   *
+   * @param {Array<Hero>} heroes - Heroes in the row
+   * @param {number} x - X position of the row
+   */
+  drawHeroColumn(heroes, x) {
+    const positions = this.getColumnPositions(heroes.length);
+
+    heroes.forEach((hero, index) => {
+      const y = positions[index];
 
       // Update hero position (for damage numbers)
       hero.x = x;
@@ -163,7 +260,10 @@ class UIManager {
       this.drawCharacter(x, y, hero.color, hero.isAlive());
 
       // Draw health bar
-      this.drawHealthBar(x, y - 40, hero.getHealthPercent(), true);
+      this.drawHealthBar(x, y - 40, this.getDisplayHealthPercent(hero), true);
+
+      // Draw active status effects above the health bar
+      this.drawStatusEffects(x, y - 55, hero);
 
       // Draw name label
       this.drawLabel(x, y + 80, hero.name, '#fbbf24');
@@ -171,14 +271,31 @@ class UIManager {
   }
 
   /**
-   * Draw all enemies
+   * Draw all enemies in formation
+   * Front row enemies face the party, back row enemies (archers, casters) stand behind them
    *
    * @param {Array<Enemy>} enemies - Enemies to draw
    */
   drawEnemies(enemies) {
+    // Bosses are drawn larger, centered vertically
+    enemies.filter(enemy => enemy.isBoss).forEach(boss => this.drawBoss(boss));
+
+    const others = enemies.filter(enemy => !enemy.isBoss);
+    this.drawEnemyColumn(others.filter(enemy => enemy.row !== 'back'), this.enemyStartX);
+    this.drawEnemyColumn(others.filter(enemy => enemy.row === 'back'), this.enemyBackRowX);
+  }
+
+  /**
+   * Draw one formation row of enemies
+   *
+   * @param {Array<Enemy>} enemies - Enemies in the row
+   * @param {number} x - X position of the row
+   */
+  drawEnemyColumn(enemies, x) {
+    const positions = this.getColumnPositions(enemies.length);
+
     enemies.forEach((enemy, index) => {
-      const x = this.enemyStartX;
-      const y = this.yPositions[index];
+      const y = positions[index];
 
       // Update enemy position (for damage numbers)
       enemy.x = x;
@@ -188,13 +305,53 @@ class UIManager {
       this.drawCharacter(x, y, enemy.color, enemy.isAlive());
 
       // Draw health bar
-      this.drawHealthBar(x, y - 40, enemy.getHealthPercent(), false);
+      this.drawHealthBar(x, y - 40, this.getDisplayHealthPercent(enemy), false);
+
+      // Draw active status effects above the health bar
+      this.drawStatusEffects(x, y - 55, enemy);
 
-      // Draw type label
-      this.drawLabel(x, y + 80, enemy.type, '#d1d5db');
+      // Draw type label (enraged enemies are marked)
+      const label = enemy.isEnraged ? `💢 ${enemy.type}` : enemy.type;
+      this.drawLabel(x, y + 80, label, '#d1d5db');
     });
   }
 
+  /**
+   * Draw a stage boss (double size, centered, with a gold label)
+   *
+   * @param {Enemy} boss - The boss enemy
+   */
+  drawBoss(boss) {
+    const x = this.enemyStartX;
+    const y = Math.round(this.height / 2);
+
+    // Update boss position (for damage numbers)
+    boss.x = x;
+    boss.y = y;
+
+    // Temporarily double the character size for the boss sprite
+    const normalSize = this.characterSize;
+    this.characterSize = normalSize * 2;
+    this.drawCharacter(x, y, boss.color, boss.isAlive());
+    this.characterSize = normalSize;
+
+    // Health bar and label sit outside the larger body
+    this.drawHealthBar(x, y - normalSize - 20, this.getDisplayHealthPercent(boss), false);
+    this.drawStatusEffects(x, y - normalSize - 35, boss);
+    this.drawLabel(x, y + normalSize + 30, `${boss.isEnraged ? '💢' : '👑'} ${boss.type} Boss`, '#fbbf24');
+  }
+
+  /**
+   * Draw the boss fight countdown at the top of the canvas
+   *
+   * @param {number} secondsLeft - Seconds remaining in the fight
+   */
+  drawBossTimer(secondsLeft) {
+    // Turn red for the last 10 seconds
+    const color = secondsLeft <= 10 ? '#ef4444' : '#fbbf24';
+    this.drawLabel(this.width / 2, 30, `⏱️ ${secondsLeft}s`, color);
+  }
+
   /**
    * Draw a single character (rectangle with glow effect)
    *
@@ -241,6 +398,48 @@ class UIManager {
     }
   }
 
+  /**
+   * Draw status effect icons (with stack counts) and a shield ring
+   *
+   * @param {number} x - X position (center of the icon row)
+   * @param {number} y - Y position (baseline of the icon row)
+   * @param {Hero|Enemy} character - Character whose effects are drawn
+   */
+  drawStatusEffects(x, y, character) {
+    if (!character.statusEffects || !character.isAlive()) return;
+
+    const effects = character.statusEffects.getActive();
+    if (effects.length === 0) return;
+
+    // Shield ring around the character
+    if (character.statusEffects.has('shield')) {
+      const radius = Math.round(this.characterSize * 0.8);
+      this.ctx.strokeStyle = STATUS_EFFECT_TYPES.shield.color;
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      this.ctx.arc(character.x, character.y, radius, 0, Math.PI * 2);
+      this.ctx.stroke();
+    }
+
+    // Icon row, centered above the health bar
+    const iconSize = Math.max(12, Math.round(this.labelFontSize * 1.1));
+    const startX = x - ((effects.length - 1) * iconSize) / 2;
+
+    this.ctx.textAlign = 'center';
+    effects.forEach((effect, index) => {
+      const iconX = startX + index * iconSize;
+
+      this.ctx.font = `${iconSize}px Arial`;
+      this.ctx.fillText(effect.icon, iconX, y);
+
+      if (effect.stacks > 1) {
+        this.ctx.fillStyle = effect.color;
+        this.ctx.font = `bold ${Math.round(iconSize * 0.6)}px Arial`;
+        this.ctx.fillText(effect.stacks, iconX + iconSize / 2, y);
+      }
+    });
+  }
+
   /**
    * Draw a health bar
    *
@@ -292,17 +491,33 @@ class UIManager {
    */
   drawDamageNumbers(damageNumbers) {
     damageNumbers.forEach(num => {
-      // Color: red for hero damage, white for enemy damage
-      const color = num.isHero ? '#ef4444' : '#ffffff';
+      // Staggered numbers that haven't appeared yet
+      if (num.delay > 0) return;
+
+      // Color: yellow for crits, green for heals, white for enemy damage,
+      // or an explicit color (red hero damage, status effect ticks, MISS)
+      let color = num.color || (num.isHeal ? '#10b981' : '#ffffff');
+      let fontSize = this.damageFontSize || 24;
+      let text = num.isHeal ? `+${formatNumber(num.damage)}` : `-${formatNumber(num.damage)}`;
+
+      if (num.text) {
+        // Plain text like "MISS"
+        text = num.text;
+        fontSize = Math.round(fontSize * 0.8);
+      } else if (num.isCrit) {
+        color = '#fbbf24';
+        fontSize = Math.round(fontSize * 1.4);
+        text = `${text} CRIT!`;
+      }
 
       // Set opacity
       this.ctx.globalAlpha = num.opacity;
 
       // Draw damage text
       this.ctx.fillStyle = color;
-      this.ctx.font = `bold ${this.damageFontSize || 24}px Arial`;
+      this.ctx.font = `bold ${fontSize}px Arial`;
       this.ctx.textAlign = 'center';
-      this.ctx.fillText(`-${num.damage}`, num.x, num.y);
+      this.ctx.fillText(text, num.x, num.y);
 
       // Reset opacity
       this.ctx.globalAlpha = 1.0;
@@ -338,42 +553,73 @@ class UIManager {
   /**
    * Update HTML resource displays (gold, gems, stage)
    *
-   * @param {number} gold - Current gold amount
-   * @param {number} gems - Current gems amount
+   * @param {BigNum} gold - Current gold amount
+   * @param {BigNum} gems - Current gems amount
    * @param {number} stage - Current stage number
    */
   updateResourceDisplay(gold, gems, stage) {
-    document.getElementById('gold-display').textContent = gold.toLocaleString();
-    document.getElementById('gem-display').textContent = gems.toLocaleString();
+    document.getElementById('gold-display').textContent = formatNumber(gold);
+    document.getElementById('gem-display').textContent = formatNumber(gems);
     document.getElementById('stage-number').textContent = stage;
   }
 
   /**
    * Update upgrade modal with hero information
    *
-   * @param {Array<Hero>} heroes - Heroes to display
-   * @param {function} onUpgrade - Callback when upgrade button clicked
+   * @param {Array<Hero>} heroes - Heroes to display (the whole roster)
+   * @param {function} onUpgrade - Callback when upgrade button clicked: (heroId) => void
+   * @param {object} partyHandlers - Optional { onToggleParty(heroId), onToggleRow(heroId), canEdit }
    */
-  updateUpgradeModal(heroes, onUpgrade) {
+  updateUpgradeModal(heroes, onUpgrade, partyHandlers = null) {
     const heroList = document.getElementById('hero-list');
     heroList.innerHTML = ''; // Clear existing content
 
-    heroes.forEach(hero => {
+    // Handle single hero or array for backward compatibility
+    const heroArray = Array.isArray(heroes) ? heroes : [heroes];
+
+    heroArray.forEach(hero => {
       const heroItem = document.createElement('div');
       heroItem.className = 'hero-item';
 
       const cost = hero.getUpgradeCost();
 
+      // One line per stat, explaining bonuses (e.g. ATK 48 = 42 base + 6 from Sword)
+      const statLines = UPGRADE_MODAL_STATS.map(
+        entry =>
+          `<div class="hero-stat-line">${this.formatStatBreakdown(
+            entry.label,
+            hero.getStatBreakdown(entry.stat),
+            entry.format
+          )}</div>`
+      ).join('');
+
+      // Party & formation controls (only editable between fights)
+      const disabled = partyHandlers && partyHandlers.canEdit ? '' : 'disabled';
+      const partyControls = partyHandlers
+        ? `
+                <div class="hero-party-controls">
+                    <button class="hero-party-btn ${hero.inParty ? 'active' : ''}" data-hero-id="${hero.id}" ${disabled}>
+                        ${hero.inParty ? '✅ In Party' : '➕ Add to Party'}
+                    </button>
+                    <button class="hero-row-btn" data-hero-id="${hero.id}" ${disabled}>
+                        ${hero.row === 'front' ? '🛡️ Front Row' : '🏹 Back Row'}
+                    </button>
+                </div>
+            `
+        : '';
+
+      heroItem.classList.toggle('benched', !hero.inParty);
       heroItem.innerHTML = `
                 <div class="hero-info">
-                    <div class="hero-name">${hero.name} - Level ${hero.level}</div>
-                    <div class="hero-stats">
-                        ❤️ HP: ${hero.maxHealth} | ⚔️ ATK: ${hero.attack} | 🛡️ DEF: ${hero.defense}
-                    </div>
+                    <div class="hero-name">${hero.name} (${hero.role}) - Level ${hero.level}</div>
+                    <div class="hero-stats">${statLines}</div>
+                </div>
+                <div class="hero-actions">
+                    <button class="hero-upgrade-btn" data-hero-id="${hero.id}">
+                        Upgrade (${formatNumber(cost)} 💰)
+                    </button>
+                    ${partyControls}
                 </div>
-                <button class="hero-upgrade-btn" data-hero-id="${hero.id}">
-                    Upgrade (${cost.toLocaleString()} 💰)
-                </button>
             `;
 
       heroList.appendChild(heroItem);
@@ -382,37 +628,659 @@ class UIManager {
     // Add event listeners to upgrade buttons
     document.querySelectorAll('.hero-upgrade-btn').forEach(btn => {
       btn.addEventListener('click', e => {
-        const heroId = parseInt(e.target.dataset.heroId);
+        const heroId = parseInt(e.currentTarget.dataset.heroId);
         onUpgrade(heroId);
       });
     });
+
+    if (!partyHandlers) return;
+
+    document.querySelectorAll('.hero-party-btn').forEach(btn => {
+      btn.addEventListener('click', e => {
+        partyHandlers.onToggleParty(parseInt(e.currentTarget.dataset.heroId));
+      });
+    });
+
+    document.querySelectorAll('.hero-row-btn').forEach(btn => {
+      btn.addEventListener('click', e => {
+        partyHandlers.onToggleRow(parseInt(e.currentTarget.dataset.heroId));
+      });
+    });
   }
 
   /**
-   * Show AFK rewards modal
+   * Build the skill bar buttons in the left panel
+   * One slot per party member's skill, numbered across the whole party
    *
-   * @param {number} gold - Gold earned
-   * @param {number} gems - Gems earned
-   * @param {string} timeAway - Formatted time away
+   * @param {Array<{hero: Hero, skill: Skill}>} entries - Party skills in hotkey order
+   * @param {function} onUse - Callback when a skill button is clicked: (heroId, skillId) => void
+   * @param {function} onToggleAuto - Callback when an auto toggle is clicked: (heroId, skillId) => void
    */
-  showAFKRewards(gold, gems, timeAway) {
-    document.getElementById('afk-gold').textContent =
-      `+${gold.toLocaleString()}`;
-    document.getElementById('afk-gems').textContent =
-      `+${gems.toLocaleString()}`;
-    document.getElementById('time-away').textContent = timeAway;
+  buildSkillBar(entries, onUse, onToggleAuto) {
+    const container = document.getElementById('skill-buttons');
+    if (!container) return;
+
+    container.innerHTML = ''; // Clear existing content
+
+    entries.forEach(({ hero, skill }, index) => {
+      const slot = document.createElement('div');
+      slot.className = 'skill-slot';
+      slot.dataset.heroId = hero.id;
+      slot.dataset.skillId = skill.id;
+
+      const hotkey = index + 1;
+
+      slot.innerHTML = `
+                <button class="skill-btn" title="${hero.name}: ${skill.name} [${hotkey}] - ${skill.description}">
+                    <span class="skill-hotkey">${hotkey}</span>
+                    <div class="cooldown-overlay"></div>
+                    <span class="cooldown-text"></span>
+                </button>
+                <button class="skill-auto-btn" title="Let the AI cast ${skill.name}">AUTO</button>
+            `;
+
+      // Use the skill icon if it loaded, otherwise show the name
+      const skillBtn = slot.querySelector('.skill-btn');
+      if (skill.icon) {
+        skillBtn.style.backgroundImage = `url("${skill.icon.src}")`;
+      } else {
+        skillBtn.insertAdjacentText('beforeend', skill.name);
+      }
+
+      skillBtn.addEventListener('click', () => onUse(hero.id, skill.id));
+      slot
+        .querySelector('.skill-auto-btn')
+        .addEventListener('click', () => onToggleAuto(hero.id, skill.id));
+
+      container.appendChild(slot);
+    });
+  }
+
+  /**
+   * Update skill bar cooldown sweeps and auto toggles (called every frame)
+   *
+   * @param {Array<{hero: Hero, skill: Skill}>} entries - Party skills
+   * @param {function} isAutoEnabled - (hero, skillId) => boolean
+   */
+  updateSkillBar(entries, isAutoEnabled) {
+    entries.forEach(({ hero, skill }) => {
+      const slot = document.querySelector(
+        `#skill-buttons .skill-slot[data-hero-id="${hero.id}"][data-skill-id="${skill.id}"]`
+      );
+      if (!slot) return;
+
+      const onCooldown = !skill.canUse();
+      const skillBtn = slot.querySelector('.skill-btn');
+      skillBtn.classList.toggle('on-cooldown', onCooldown);
+
+      // Radial sweep: the dark wedge shrinks back to 12 o'clock as the skill recharges
+      const overlay = slot.querySelector('.cooldown-overlay');
+      overlay.style.setProperty(
+        '--cooldown',
+        `${Math.round(skill.getCooldownPercent() * 360)}deg`
+      );
+
+      slot.querySelector('.cooldown-text').textContent = onCooldown
+        ? skill.getCooldownSeconds()
+        : '';
+
+      slot
+        .querySelector('.skill-auto-btn')
+        .classList.toggle('active', isAutoEnabled(hero, skill.id));
+    });
+  }
+
+  /**
+   * Format a stat breakdown as text
+   * e.g. "⚔️ ATK 48 = 42 base + 6 from Sword"
+   *
+   * @param {string} label - Stat label
+   * @param {object} breakdown - From Hero.getStatBreakdown()
+   * @param {string} format - 'number', 'percent' or 'multiplier'
+   * @returns {string} Breakdown text
+   */
+  formatStatBreakdown(label, breakdown, format = 'number') {
+    const formatValue = value => {
+      if (format === 'percent') return `${(BigNum.from(value).toNumber() * 100).toFixed(1)}%`;
+      if (format === 'multiplier') return `${BigNum.from(value).toNumber().toFixed(2)}x`;
+      return formatNumber(value);
+    };
+
+    let text = `${label} ${formatValue(breakdown.total)}`;
+    if (breakdown.parts.length === 0) {
+      return text;
+    }
+
+    text += ` = ${formatValue(breakdown.base)} base`;
+    breakdown.parts.forEach(part => {
+      const amount = BigNum.from(part.amount);
+      const sign = amount.lt(0) ? '-' : '+';
+      text += ` ${sign} ${formatValue(amount.abs())} from ${part.source}`;
+    });
+
+    return text;
+  }
+
+  /**
+   * Update the AFK chest: sidebar fill level, modal contents and upgrades
+   * Only changes text and attributes, so it's safe to call every frame
+   *
+   * @param {AfkChest} afkChest - The chest
+   * @param {BigNum} gems - Gems available for upgrades
+   * @param {string} fillText - Formatted "stored / capacity" time
+   */
+  updateAfkChest(afkChest, gems, fillText) {
+    const fillPercent = Math.floor(afkChest.getFillPercent() * 100);
+
+    const sidebarFill = document.getElementById('afk-chest-fill');
+    if (sidebarFill) {
+      sidebarFill.textContent = afkChest.isFull() ? 'FULL' : `${fillPercent}%`;
+    }
+
+    const fillBar = document.getElementById('afk-fill-bar');
+    if (!fillBar) return;
+
+    fillBar.style.width = `${fillPercent}%`;
+    document.getElementById('afk-fill-text').textContent = afkChest.isFull()
+      ? `${fillText} - full, collect to keep earning`
+      : fillText;
+
+    document.getElementById('afk-gold').textContent = `+${formatNumber(afkChest.gold)}`;
+    document.getElementById('afk-gems').textContent = `+${formatNumber(afkChest.gems)}`;
+    document.getElementById('afk-kills').textContent = formatNumber(afkChest.kills);
+    document.getElementById('afk-items').textContent = `+${afkChest.items.length}`;
+
+    Object.keys(AFK_CHEST_UPGRADES).forEach(type => {
+      const button = document.getElementById(`afk-upgrade-${type}`);
+      if (!button) return;
+
+      const upgrade = AFK_CHEST_UPGRADES[type];
+      const cost = afkChest.getUpgradeCost(type);
+      const level = `Lv ${afkChest.upgrades[type]}/${upgrade.maxLevel}`;
+      button.textContent = cost === null
+        ? `${upgrade.name} (${level}, max)`
+        : `${upgrade.name}: ${upgrade.description} (${level}, ${cost} 💎)`;
+      button.disabled = cost === null || gems.lt(cost);
+    });
+
+    document.getElementById('claim-afk').disabled = !afkChest.hasRewards();
+  }
+
+  /**
+   * Show the AFK chest modal
+   *
+   * @param {string} awayNote - Optional note about offline time (e.g. on return)
+   */
+  showAFKRewards(awayNote = '') {
+    document.getElementById('afk-time-away').textContent = awayNote;
 
     // Show modal
     document.getElementById('afk-modal').style.display = 'flex';
   }
 
   /**
-   * Hide AFK rewards modal
+   * Hide AFK chest modal
    */
   hideAFKRewards() {
     document.getElementById('afk-modal').style.display = 'none';
   }
 
+  /**
+   * Update the prestige button and modal: essence, reward, upgrades
+   * Only changes text and attributes, so it's safe to call every frame
+   *
+   * @param {PrestigeManager} prestigeManager - Prestige progress
+   * @param {number} stageLevel - Stage the current run has reached
+   */
+  updatePrestige(prestigeManager, stageLevel) {
+    const reward = prestigeManager.getEssenceReward(stageLevel);
+    const canPrestige = prestigeManager.canPrestige(stageLevel);
+
+    const sidebarReward = document.getElementById('prestige-reward');
+    if (sidebarReward) {
+      sidebarReward.textContent = canPrestige ? `+${reward} 🔮` : `Stage ${PRESTIGE_MIN_STAGE}`;
+    }
+
+    const essenceText = document.getElementById('prestige-essence');
+    if (!essenceText) return;
+
+    essenceText.textContent = formatNumber(prestigeManager.essence);
+    document.getElementById('prestige-count').textContent = prestigeManager.totalPrestiges;
+    document.getElementById('prestige-bonuses').textContent =
+      `Gold x${prestigeManager.getGoldMultiplier().toFixed(1)} · ` +
+      `Attack +${Math.round(prestigeManager.getBonus('attack') * 100)}% · ` +
+      `AFK chest +${prestigeManager.getBonus('offline')}h`;
+
+    const prestigeNowBtn = document.getElementById('prestige-now-btn');
+    prestigeNowBtn.disabled = !canPrestige;
+    prestigeNowBtn.textContent = canPrestige
+      ? `Prestige for ${reward} 🔮`
+      : `Reach stage ${PRESTIGE_MIN_STAGE} to prestige`;
+
+    Object.keys(PRESTIGE_UPGRADES).forEach(type => {
+      const button = document.getElementById(`prestige-upgrade-${type}`);
+      if (!button) return;
+
+      const upgrade = PRESTIGE_UPGRADES[type];
+      const cost = prestigeManager.getUpgradeCost(type);
+      const level = `Lv ${prestigeManager.upgrades[type]}`;
+      button.textContent = cost === null
+        ? `${upgrade.name} (${level}, max)`
+        : `${upgrade.name}: ${upgrade.description} (${level}, ${cost} 🔮)`;
+      button.disabled = cost === null || prestigeManager.essence < cost;
+    });
+  }
+
+  /**
+   * Show or hide the prestige modal
+   *
+   * @param {boolean} show - True to show, false to hide
+   */
+  togglePrestigeModal(show) {
+    document.getElementById('prestige-modal').style.display = show ? 'flex' : 'none';
+  }
+
+  /**
+   * Show what the party did while the tab was hidden
+   *
+   * @param {object} summary - { kills, gold, deaths, timeAway, simulated, estimated,
+   *   chestGold, chestItems } from Game.catchUp
+   * @param {string} timeAway - Formatted time away
+   * @param {string} simulated - Formatted time that was simulated
+   */
+  showAwaySummary(summary, timeAway, simulated) {
+    document.getElementById('away-time').textContent = timeAway;
+    document.getElementById('away-kills').textContent = formatNumber(summary.kills);
+    document.getElementById('away-gold').textContent = `+${formatNumber(summary.gold)}`;
+    document.getElementById('away-deaths').textContent = formatNumber(summary.deaths);
+
+    // Mention the cap when only part of the gap was simulated
+    const capNote = document.getElementById('away-cap-note');
+    capNote.textContent = summary.estimated > 0
+      ? `The first ${simulated} were simulated; the rest was estimated into the AFK chest ` +
+        `(+${formatNumber(summary.chestGold)} gold, ${summary.chestItems} items).`
+      : '';
+
+    document.getElementById('away-modal').style.display = 'flex';
+  }
+
+  /**
+   * Hide the "while you were away" modal
+   */
+  hideAwaySummary() {
+    document.getElementById('away-modal').style.display = 'none';
+  }
+
+  /**
+   * Update inventory modal with equipped gear and bag contents
+   *
+   * @param {Hero} hero - Hero whose gear is shown
+   * @param {Inventory} inventory - The player's inventory
+   * @param {object} handlers - { onEquip(itemId), onUnequip(slot), onSalvage(itemId), onSelectHero(heroId) }
+   * @param {Array<Hero>} heroes - Heroes to pick from (defaults to just the shown hero)
+   */
+  updateInventoryModal(hero, inventory, handlers, heroes = [hero]) {
+    const equippedList = document.getElementById('equipped-list');
+    const itemList = document.getElementById('inventory-list');
+    const count = document.getElementById('inventory-count');
+    if (!equippedList || !itemList) return;
+
+    // Hero picker: gear is equipped on the selected hero
+    const heroSelect = document.getElementById('inventory-hero-select');
+    if (heroSelect) {
+      heroSelect.innerHTML = heroes
+        .map(
+          h =>
+            `<option value="${h.id}" ${h === hero ? 'selected' : ''}>${h.name} (Lv ${h.level})</option>`
+        )
+        .join('');
+      heroSelect.onchange = () => {
+        if (handlers.onSelectHero) {
+          handlers.onSelectHero(parseInt(heroSelect.value));
+        }
+      };
+    }
+
+    // Equipped slots
+    equippedList.innerHTML = '';
+    Object.keys(hero.equipment).forEach(slot => {
+      const item = hero.equipment[slot];
+      const slotItem = document.createElement('div');
+      slotItem.className = 'gear-slot';
+
+      if (item) {
+        slotItem.innerHTML = `
+                <div class="gear-slot-name">${slot}</div>
+                ${this.renderItemInfo(item)}
+                <button class="item-btn" data-slot="${slot}">Unequip</button>
+            `;
+        slotItem
+          .querySelector('.item-btn')
+          .addEventListener('click', () => handlers.onUnequip(slot));
+      } else {
+        slotItem.innerHTML = `
+                <div class="gear-slot-name">${slot}</div>
+                <div class="item-empty">Empty</div>
+            `;
+      }
+
+      equippedList.appendChild(slotItem);
+    });
+
+    // Inventory items
+    itemList.innerHTML = '';
+    if (count) {
+      count.textContent = `${inventory.getItems().length}/${inventory.maxSize}`;
+    }
+
+    inventory.getItems().forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'inventory-item';
+      row.innerHTML = `
+                ${this.renderItemInfo(item)}
+                <div class="item-actions">
+                    <button class="item-btn equip-btn">Equip</button>
+                    <button class="item-btn salvage-btn">Salvage (${formatNumber(item.getSalvageValue())} 💰)</button>
+                </div>
+            `;
+      row
+        .querySelector('.equip-btn')
+        .addEventListener('click', () => handlers.onEquip(item.id));
+      row
+        .querySelector('.salvage-btn')
+        .addEventListener('click', () => handlers.onSalvage(item.id));
+
+      itemList.appendChild(row);
+    });
+  }
+
+  /**
+   * Render an item's name and stats as HTML
+   *
+   * @param {Equipment} item - The item
+   * @returns {string} HTML snippet
+   */
+  renderItemInfo(item) {
+    return `
+                <div class="item-info">
+                    <div class="item-name" style="color: ${item.getColor()}">${item.name} <span class="item-level">Lv ${item.itemLevel}</span></div>
+                    <div class="item-stats">${item.describeStats().join(' · ')}</div>
+                </div>
+            `;
+  }
+
+  /**
+   * Show/hide inventory modal
+   *
+   * @param {boolean} show - True to show, false to hide
+   */
+  toggleInventoryModal(show) {
+    document.getElementById('inventory-modal').style.display = show
+      ? 'flex'
+      : 'none';
+  }
+
+  /**
+   * Update summon modal with pity progress, the last results and shards
+   *
+   * @param {SummonManager} summonManager - Summon state
+   * @param {Array<object>} results - Results of the last summon (from SummonManager.summon)
+   * @param {BigNum} gems - Current gems (disables summons the player can't afford)
+   */
+  updateSummonModal(summonManager, results, gems) {
+    const pity = document.getElementById('summon-pity');
+    if (pity) {
+      pity.textContent = `Legendary guaranteed within ${summonManager.getSummonsUntilPity()} summons`;
+    }
+
+    const oneBtn = document.getElementById('summon-one-btn');
+    if (oneBtn) {
+      oneBtn.textContent = `Summon x1 (${SUMMON_COST} 💎)`;
+      oneBtn.disabled = gems.lt(SUMMON_COST);
+    }
+    const tenBtn = document.getElementById('summon-ten-btn');
+    if (tenBtn) {
+      tenBtn.textContent = `Summon x10 (${SUMMON_MULTI_COST} 💎)`;
+      tenBtn.disabled = gems.lt(SUMMON_MULTI_COST);
+    }
+
+    const resultList = document.getElementById('summon-results');
+    if (resultList) {
+      resultList.innerHTML = results
+        .map(result => {
+          const template = HERO_POOL[result.templateId];
+          const rarity = HERO_RARITIES[result.rarity];
+          const detail = result.isDuplicate ? `+${result.shards} shards` : 'NEW!';
+          return `
+                <div class="summon-result ${result.isDuplicate ? '' : 'new'}">
+                    <div style="color: ${rarity.color}">${template.name}</div>
+                    <div>${template.role} · ${detail}</div>
+                </div>
+            `;
+        })
+        .join('');
+    }
+
+    const shardList = document.getElementById('summon-shards');
+    if (shardList) {
+      const owned = Object.keys(summonManager.shards).filter(
+        templateId => summonManager.getShards(templateId) > 0 && HERO_POOL[templateId]
+      );
+      shardList.innerHTML = owned.length
+        ? owned
+            .map(
+              templateId =>
+                `<div class="summon-shard">${HERO_POOL[templateId].name}: ${summonManager.getShards(templateId)} 🧩</div>`
+            )
+            .join('')
+        : '<div class="item-empty">No shards yet - duplicates turn into shards</div>';
+    }
+  }
+
+  /**
+   * Show/hide summon modal
+   *
+   * @param {boolean} show - True to show, false to hide
+   */
+  toggleSummonModal(show) {
+    document.getElementById('summon-modal').style.display = show
+      ? 'flex'
+      : 'none';
+  }
+
+  /**
+   * Show a freshly created export string in the save modal
+   *
+   * @param {string} exportString - From exportSaveString
+   */
+  showExportString(exportString) {
+    const output = document.getElementById('export-save-text');
+    if (output) output.value = exportString;
+
+    ['copy-save-btn', 'download-save-btn'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !exportString;
+    });
+  }
+
+  /**
+   * Show the result of checking an imported save
+   *
+   * @param {object|null} result - From importSaveString (null clears the preview)
+   */
+  showImportPreview(result) {
+    const preview = document.getElementById('import-preview');
+    const confirmBtn = document.getElementById('confirm-import-btn');
+    if (!preview) return;
+
+    if (confirmBtn) {
+      confirmBtn.style.display = result && result.ok ? 'inline-block' : 'none';
+    }
+
+    if (!result) {
+      preview.innerHTML = '';
+      return;
+    }
+
+    if (!result.ok) {
+      preview.innerHTML = `<div class="import-preview-error">❌ ${result.error}</div>`;
+      return;
+    }
+
+    preview.innerHTML = this.renderSavePreview(result.preview);
+  }
+
+  /**
+   * Render a save summary (stage, heroes, resources, save time) as HTML
+   *
+   * @param {object} info - From getSavePreview()
+   * @returns {string} HTML snippet
+   */
+  renderSavePreview(info) {
+    const savedAt = info.savedAt ? new Date(info.savedAt).toLocaleString() : 'unknown';
+    return `
+                <div class="import-preview-ok">
+                    <div>🎯 Stage ${info.stage}</div>
+                    <div>🦸 ${info.heroCount} heroes, highest level ${info.heroLevel}</div>
+                    <div>💰 ${formatNumber(info.gold)} · 💎 ${formatNumber(info.gems)}</div>
+                    <div>🕒 Saved ${savedAt}</div>
+                </div>
+            `;
+  }
+
+  /**
+   * Fill the cloud sync settings in the save modal
+   *
+   * @param {CloudSyncManager} cloudSync - Sync settings
+   * @param {string} status - Status line (last result or error)
+   */
+  updateCloudSyncPanel(cloudSync, status) {
+    const enabled = document.getElementById('cloud-sync-enabled');
+    const endpoint = document.getElementById('cloud-sync-endpoint');
+    const syncId = document.getElementById('cloud-sync-id');
+    const statusText = document.getElementById('cloud-sync-status');
+
+    if (enabled) enabled.checked = cloudSync.enabled;
+    if (endpoint) endpoint.value = cloudSync.endpoint;
+    if (syncId) syncId.value = cloudSync.syncId;
+
+    if (statusText) {
+      const lastSync = cloudSync.lastSyncAt
+        ? `Last synced ${new Date(cloudSync.lastSyncAt).toLocaleString()}`
+        : 'Never synced';
+      statusText.textContent = status ? `${status} · ${lastSync}` : lastSync;
+    }
+  }
+
+  /**
+   * Read the cloud sync settings the player typed
+   *
+   * @returns {{enabled: boolean, endpoint: string, syncId: string}} Form values
+   */
+  readCloudSyncPanel() {
+    const enabled = document.getElementById('cloud-sync-enabled');
+    const endpoint = document.getElementById('cloud-sync-endpoint');
+    const syncId = document.getElementById('cloud-sync-id');
+
+    return {
+      enabled: enabled ? enabled.checked : false,
+      endpoint: endpoint ? endpoint.value.trim() : '',
+      syncId: syncId ? syncId.value.trim() : ''
+    };
+  }
+
+  /**
+   * Ask the player which save to keep after a sync conflict
+   *
+   * @param {object} localInfo - getSavePreview() of the local save
+   * @param {object} remoteInfo - getSavePreview() of the remote save
+   * @param {object} handlers - { onKeepLocal(), onKeepRemote() }
+   */
+  showSyncConflict(localInfo, remoteInfo, handlers) {
+    const modal = document.getElementById('sync-conflict-modal');
+    if (!modal) return;
+
+    document.getElementById('sync-local-preview').innerHTML = this.renderSavePreview(localInfo);
+    document.getElementById('sync-remote-preview').innerHTML = this.renderSavePreview(remoteInfo);
+
+    document.getElementById('keep-local-btn').onclick = () => {
+      modal.style.display = 'none';
+      handlers.onKeepLocal();
+    };
+    document.getElementById('keep-remote-btn').onclick = () => {
+      modal.style.display = 'none';
+      handlers.onKeepRemote();
+    };
+
+    modal.style.display = 'flex';
+  }
+
+  /**
+   * Show/hide save export/import modal
+   *
+   * @param {boolean} show - True to show, false to hide
+   */
+  toggleSaveModal(show) {
+    document.getElementById('save-modal').style.display = show
+      ? 'flex'
+      : 'none';
+  }
+
+  /**
+   * Show the save slot picker on the loading screen
+   *
+   * @param {Array<object>} slots - From StorageManager.getSlots()
+   * @param {string} activeSlotId - Last played slot (listed as "Continue")
+   * @param {object} handlers - { onPlay(slotId), onCreate(name), onDelete(slotId) }
+   */
+  showSlotPicker(slots, activeSlotId, handlers) {
+    const picker = document.getElementById('slot-picker');
+    const slotList = document.getElementById('slot-list');
+    if (!picker || !slotList) return;
+
+    const loadingText = document.getElementById('loading-text');
+    if (loadingText) loadingText.textContent = 'Choose a save';
+
+    slotList.innerHTML = '';
+    slots.forEach(slot => {
+      const isActive = slot.id === activeSlotId;
+      const details = slot.lastSaveTime
+        ? `Stage ${slot.stage} · Hero Lv ${slot.heroLevel} · ${new Date(slot.lastSaveTime).toLocaleString()}`
+        : 'Not played yet';
+
+      const row = document.createElement('div');
+      row.className = `save-slot ${isActive ? 'active' : ''}`;
+      row.innerHTML = `
+                <div class="save-slot-info">
+                    <div class="save-slot-name">${slot.name}</div>
+                    <div class="save-slot-details">${details}</div>
+                </div>
+                <button class="item-btn play-slot-btn">${isActive ? 'Continue' : 'Play'}</button>
+                <button class="item-btn delete-slot-btn" title="Delete this save">🗑️</button>
+            `;
+      row
+        .querySelector('.play-slot-btn')
+        .addEventListener('click', () => handlers.onPlay(slot.id));
+      row.querySelector('.delete-slot-btn').addEventListener('click', () => {
+        if (confirm(`Delete "${slot.name}" and its backups?`)) {
+          handlers.onDelete(slot.id);
+        }
+      });
+
+      slotList.appendChild(row);
+    });
+
+    const newSlotBtn = document.getElementById('new-slot-btn');
+    const nameInput = document.getElementById('new-slot-name');
+    if (newSlotBtn) {
+      newSlotBtn.onclick = () => {
+        handlers.onCreate(nameInput ? nameInput.value.trim() : '');
+      };
+    }
+
+    picker.style.display = 'block';
+  }
+
   /**
    * Show/hide upgrade modal
    *
@@ -438,7 +1306,8 @@ class UIManager {
     if (mode === 'IDLE') {
       if (nextStageBtn) {
         nextStageBtn.style.display = 'block';
-        // Note: The text is set to "Challenge Stage" in game.js initialization
+        nextStageBtn.disabled = false;
+        nextStageBtn.textContent = '⚔️ Challenge Stage';
       }
       if (retryBtn) retryBtn.style.display = 'none';
       return;
@@ -446,9 +1315,19 @@ class UIManager {
 
     // In BOSS mode, hide challenge button while fighting
     if (mode === 'BOSS') {
-      if (nextStageBtn) nextStageBtn.style.display = 'none';
       if (retryBtn) retryBtn.style.display = 'none';
-      // Wait for result
+      if (!nextStageBtn) return;
+
+      if (!result) {
+        nextStageBtn.style.display = 'none';
+        return;
+      }
+
+      // Fight is over - show the outcome until the game returns to IDLE
+      nextStageBtn.style.display = 'block';
+      nextStageBtn.disabled = true;
+      nextStageBtn.textContent =
+        result === 'victory' ? '🏆 Victory!' : '💀 Defeat';
     }
   }
 }
@@ -0,0 +1,426 @@
+/**
+ * Balance Report - How long does it take to clear each stage?
+ *
+ * Plays the game headlessly with the real combat code (simulation.js) and
+ * the constants in src/scripts/balance.js:
+ * 1. Challenge the stage boss - on a win, collect the stage gold and move on
+ * 2. Otherwise buy the best hero upgrade: the level-up that improves the
+ *    boss fight most per gold (greedy, every candidate fought with the same
+ *    seed so only the upgrade differs)
+ * 3. Farm the horde for the gold it costs (kill gold plus idle income,
+ *    measured at the current stage and levels)
+ *
+ * A stage is a wall when it takes WALL_FACTOR times longer than the slowest
+ * of the stages before it. The run stops at --stages, or at the first stage
+ * that takes longer than --cap-hours to clear.
+ *
+ * Not modelled: gear, summons, prestige, gems, the AFK chest cap (idle gold
+ * is counted as if the chest were claimed in time) and time spent offline.
+ *
+ * Writes report.json, report.csv and report.html (a chart) to --out.
+ *
+ * Usage: npm run balance -- [options]
+ *   --stages N        Last stage to project (default 30)
+ *   --cap-hours N     Give up on a stage after this long (default 168 = a week)
+ *   --seed N          RNG seed (default 1)
+ *   --out DIR         Output directory (default balance-report)
+ *   --set PATH=VALUE  Try a different constant, e.g. --set enemy.healthGrowth=1.18
+ *                     (repeatable; PATH is a key in BALANCE)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { BigNum, formatNumber } from '../src/scripts/bigNumber.js';
+import { SeededRandom } from '../src/scripts/random.js';
+import { BALANCE } from '../src/scripts/balance.js';
+import { getStageGoldReward } from '../src/scripts/enemy.js';
+import { ResourceManager, STARTING_GOLD } from '../src/scripts/resources.js';
+import {
+  createSimulationParty,
+  simulateBattle,
+  simulateBossFight
+} from '../src/scripts/simulation.js';
+
+const USAGE = 'Usage: npm run balance -- [--stages 30] [--cap-hours 168] [--seed 1] [--out balance-report] [--set enemy.healthGrowth=1.18]';
+
+/**
+ * A stage is a wall when it takes this many times as long as the slowest
+ * of the stages before it (see WALL_WINDOW)
+ */
+const WALL_FACTOR = 2;
+
+/**
+ * How many earlier stages the wall check compares against
+ */
+const WALL_WINDOW = 5;
+
+/**
+ * Stages quicker than this are never walls (early stages are noisy)
+ */
+const WALL_MIN_SECONDS = 60;
+
+/**
+ * Game time of horde fighting used to measure gold per second
+ */
+const INCOME_SAMPLE_MS = 60 * 1000;
+
+const formatTime = seconds => ResourceManager.prototype.formatTime(seconds);
+
+/**
+ * Read a whole-number option
+ *
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name (for the error)
+ * @param {number} min - Smallest allowed value
+ * @returns {number} Parsed value
+ */
+function parseWholeNumber(value, name, min) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`--${name} must be a whole number of at least ${min}`);
+  }
+  return number;
+}
+
+/**
+ * Change a BALANCE constant for this run
+ *
+ * @param {string} assignment - "group.key=value", e.g. "enemy.healthGrowth=1.18"
+ */
+function applyOverride(assignment) {
+  const match = assignment.match(/^(\w+)\.(\w+)=(.+)$/);
+  const group = match && BALANCE[match[1]];
+  if (!group || typeof group[match[2]] !== 'number' || !isFinite(Number(match[3]))) {
+    throw new Error(`--set ${assignment}: expected PATH=NUMBER with PATH one of ${listBalanceKeys().join(', ')}`);
+  }
+  group[match[2]] = Number(match[3]);
+}
+
+/**
+ * List every tunable constant as "group.key"
+ * @returns {Array<string>} Constant paths
+ */
+function listBalanceKeys() {
+  return Object.keys(BALANCE).flatMap(group =>
+    Object.keys(BALANCE[group]).map(key => `${group}.${key}`)
+  );
+}
+
+/**
+ * Score a boss fight so that any progress counts
+ * 0-1 for the share of boss health removed, 1-2 for wins (faster is higher)
+ *
+ * @param {{victory: boolean, durationMs: number, bossHealthPercent: number}} fight - Result
+ * @returns {number} Score
+ */
+function scoreBossFight(fight) {
+  if (fight.victory) {
+    return 2 - fight.durationMs / 1000 / 60;
+  }
+  return 1 - fight.bossHealthPercent;
+}
+
+/**
+ * Pick the hero whose next level improves the boss fight most per gold
+ *
+ * @param {Array<number>} levels - Current hero levels
+ * @param {number} stage - Stage being pushed
+ * @param {number} seed - Seed every candidate fight uses
+ * @param {number} baseScore - Score of the fight without an upgrade
+ * @returns {{index: number, cost: number}} Hero to level and what it costs
+ */
+function chooseUpgrade(levels, stage, seed, baseScore) {
+  const costs = createSimulationParty(levels).map(hero => hero.getUpgradeCost());
+  let best = null;
+
+  levels.forEach((level, index) => {
+    const upgraded = levels.slice();
+    upgraded[index]++;
+    const fight = simulateBossFight(createSimulationParty(upgraded), stage, new SeededRandom(seed));
+    const value = (scoreBossFight(fight) - baseScore) / costs[index];
+
+    // Ties (e.g. no visible gain yet) go to the cheapest level
+    if (!best || value > best.value || (value === best.value && costs[index] < best.cost)) {
+      best = { index: index, cost: costs[index], value: value };
+    }
+  });
+
+  return { index: best.index, cost: best.cost };
+}
+
+/**
+ * Measure gold per second from fighting the horde
+ *
+ * @param {Array<number>} levels - Hero levels
+ * @param {number} stage - Stage to farm
+ * @param {number} seed - RNG seed
+ * @returns {number} Gold per second (kill gold plus idle income)
+ */
+function measureIncome(levels, stage, seed) {
+  const result = simulateBattle(
+    createSimulationParty(levels),
+    stage,
+    INCOME_SAMPLE_MS,
+    new SeededRandom(seed)
+  );
+  return result.gold.toNumber() / (INCOME_SAMPLE_MS / 1000);
+}
+
+/**
+ * Play through the stages with the greedy upgrade policy
+ *
+ * @param {{stages: number, capSeconds: number, seed: number}} options - Run settings
+ * @param {function(object): void} onStage - Called with each cleared stage's row
+ * @returns {{rows: Array<object>, blockedStage: number|null}}
+ *   One row per cleared stage, and the stage that hit the cap (if any)
+ */
+function projectProgression(options, onStage) {
+  const levels = createSimulationParty(1).map(() => 1);
+  let gold = BigNum.from(STARTING_GOLD);
+  let time = 0;
+  let stageStart = 0;
+  let upgrades = 0;
+  const rows = [];
+
+  for (let stage = 1; stage <= options.stages;) {
+    const seed = options.seed + stage;
+    const fight = simulateBossFight(createSimulationParty(levels), stage, new SeededRandom(seed));
+
+    if (fight.victory) {
+      time += fight.durationMs / 1000;
+      gold = gold.add(getStageGoldReward(stage));
+
+      const row = {
+        stage: stage,
+        clearedAtSeconds: Math.round(time),
+        stageSeconds: Math.round(time - stageStart),
+        heroLevels: levels.slice(),
+        upgrades: upgrades,
+        goldPerSecond: measureIncome(levels, stage, seed),
+        bossFightSeconds: fight.durationMs / 1000,
+        wall: false
+      };
+      rows.push(row);
+      onStage(row);
+
+      stage++;
+      stageStart = time;
+      upgrades = 0;
+      continue;
+    }
+
+    // Not strong enough yet: save up for the best upgrade
+    const upgrade = chooseUpgrade(levels, stage, seed, scoreBossFight(fight));
+    if (gold.lt(upgrade.cost)) {
+      const income = measureIncome(levels, stage, seed);
+      const wait = BigNum.from(upgrade.cost).sub(gold).toNumber() / income;
+      if (time + wait - stageStart > options.capSeconds) {
+        return { rows: rows, blockedStage: stage };
+      }
+      time += wait;
+      gold = BigNum.from(upgrade.cost);
+    }
+
+    gold = gold.sub(upgrade.cost);
+    levels[upgrade.index]++;
+    upgrades++;
+  }
+
+  return { rows: rows, blockedStage: null };
+}
+
+/**
+ * Flag stages that take far longer than the ones before them
+ *
+ * @param {Array<object>} rows - Cleared stages (wall is set in place)
+ */
+function markWalls(rows) {
+  rows.forEach((row, index) => {
+    const previous = rows
+      .slice(Math.max(0, index - WALL_WINDOW), index)
+      .map(earlier => earlier.stageSeconds);
+    if (previous.length === 0 || row.stageSeconds < WALL_MIN_SECONDS) {
+      return;
+    }
+
+    row.wall = row.stageSeconds >= WALL_FACTOR * Math.max(...previous, 1);
+  });
+}
+
+/**
+ * Build the CSV report (one line per cleared stage)
+ *
+ * @param {Array<object>} rows - Cleared stages
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  const header = 'stage,cleared_at_seconds,stage_seconds,hero_levels,upgrades,gold_per_second,boss_fight_seconds,wall';
+  const lines = rows.map(row => [
+    row.stage,
+    row.clearedAtSeconds,
+    row.stageSeconds,
+    row.heroLevels.join('/'),
+    row.upgrades,
+    row.goldPerSecond.toFixed(2),
+    row.bossFightSeconds,
+    row.wall
+  ].join(','));
+  return [header].concat(lines).join('\n') + '\n';
+}
+
+/**
+ * Build the HTML report: time to clear each stage (log scale), walls in red
+ *
+ * @param {object} report - JSON report
+ * @returns {string} Standalone HTML page
+ */
+function toHtml(report) {
+  const rows = report.stages;
+  const width = 800;
+  const height = 360;
+  const pad = { left: 70, right: 20, top: 20, bottom: 40 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  // Hours on a log scale: the curve is roughly exponential
+  const hours = rows.map(row => Math.max(row.clearedAtSeconds, 1) / 3600);
+  const minLog = Math.floor(Math.log10(Math.min(...hours, 1)));
+  const maxLog = Math.ceil(Math.log10(Math.max(...hours, 1)));
+  const logSpan = Math.max(1, maxLog - minLog);
+  const lastStage = Math.max(2, ...rows.map(row => row.stage));
+
+  const x = stage => pad.left + ((stage - 1) / (lastStage - 1)) * plotWidth;
+  const y = value => pad.top + plotHeight - ((Math.log10(value) - minLog) / logSpan) * plotHeight;
+
+  const gridLines = [];
+  for (let power = minLog; power <= maxLog; power++) {
+    const lineY = y(Math.pow(10, power));
+    gridLines.push(
+      `<line x1="${pad.left}" y1="${lineY}" x2="${width - pad.right}" y2="${lineY}" class="grid"/>`,
+      `<text x="${pad.left - 8}" y="${lineY + 4}" text-anchor="end">${formatTime(Math.pow(10, power) * 3600)}</text>`
+    );
+  }
+  const stageLabels = rows
+    .filter(row => row.stage === 1 || row.stage % 5 === 0)
+    .map(row => `<text x="${x(row.stage)}" y="${height - pad.bottom + 18}" text-anchor="middle">${row.stage}</text>`);
+  const points = rows.map((row, index) => `${x(row.stage)},${y(hours[index])}`).join(' ');
+  const dots = rows.map((row, index) =>
+    `<circle cx="${x(row.stage)}" cy="${y(hours[index])}" r="${row.wall ? 5 : 3}" class="${row.wall ? 'wall' : 'dot'}">` +
+    `<title>Stage ${row.stage}: ${formatTime(row.clearedAtSeconds)} (stage took ${formatTime(row.stageSeconds)})</title></circle>`
+  );
+
+  const tableRows = rows.map(row => `<tr class="${row.wall ? 'wall' : ''}">` +
+    `<td>${row.stage}</td><td>${formatTime(row.clearedAtSeconds)}</td><td>${formatTime(row.stageSeconds)}</td>` +
+    `<td>${row.heroLevels.join(' / ')}</td><td>${row.upgrades}</td><td>${formatNumber(row.goldPerSecond)}/s</td>` +
+    `<td>${row.wall ? 'Wall' : ''}</td></tr>`).join('\n');
+
+  const blocked = report.blockedStage
+    ? `<p class="blocked">Stage ${report.blockedStage} was not cleared within ${report.settings.capHours} hours.</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Balance Report</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+  svg text { font-size: 12px; fill: #4b5563; }
+  .grid { stroke: #e5e7eb; }
+  .axis { stroke: #9ca3af; }
+  .curve { fill: none; stroke: #6366f1; stroke-width: 2; }
+  .dot { fill: #6366f1; }
+  .wall { fill: #ef4444; }
+  tr.wall td { color: #b91c1c; font-weight: bold; }
+  .blocked { color: #b91c1c; font-weight: bold; }
+  table { border-collapse: collapse; margin-top: 1rem; }
+  td, th { padding: 4px 10px; border-bottom: 1px solid #e5e7eb; text-align: right; }
+  pre { background: #f3f4f6; padding: 1rem; }
+</style>
+</head>
+<body>
+<h1>Balance Report</h1>
+<p>Time to clear each stage with greedy hero upgrades (seed ${report.settings.seed}). Walls in red.</p>
+${blocked}
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  ${gridLines.join('\n  ')}
+  <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" class="axis"/>
+  ${stageLabels.join('\n  ')}
+  <text x="${pad.left + plotWidth / 2}" y="${height - 4}" text-anchor="middle">Stage</text>
+  <polyline points="${points}" class="curve"/>
+  ${dots.join('\n  ')}
+</svg>
+<table>
+<tr><th>Stage</th><th>Cleared after</th><th>Stage took</th><th>Hero levels</th><th>Upgrades</th><th>Gold</th><th></th></tr>
+${tableRows}
+</table>
+<h2>Constants</h2>
+<pre>${JSON.stringify(report.balance, null, 2)}</pre>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      stages: { type: 'string', default: '30' },
+      'cap-hours': { type: 'string', default: '168' },
+      seed: { type: 'string', default: '1' },
+      out: { type: 'string', default: 'balance-report' },
+      set: { type: 'string', multiple: true, default: [] },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const settings = {
+    stages: parseWholeNumber(values.stages, 'stages', 1),
+    capHours: parseWholeNumber(values['cap-hours'], 'cap-hours', 1),
+    seed: parseWholeNumber(values.seed, 'seed', 0),
+    overrides: values.set
+  };
+  settings.overrides.forEach(applyOverride);
+
+  // The battle logs to the console as it goes - keep the progress readable
+  const log = console.log;
+  console.log = () => {};
+  const result = projectProgression(
+    { stages: settings.stages, capSeconds: settings.capHours * 3600, seed: settings.seed },
+    row => log(`Stage ${row.stage} cleared after ${formatTime(row.clearedAtSeconds)} (levels ${row.heroLevels.join('/')})`)
+  );
+  console.log = log;
+
+  markWalls(result.rows);
+  const report = {
+    settings: settings,
+    balance: BALANCE,
+    stages: result.rows,
+    walls: result.rows.filter(row => row.wall).map(row => row.stage),
+    blockedStage: result.blockedStage
+  };
+
+  fs.mkdirSync(values.out, { recursive: true });
+  fs.writeFileSync(path.join(values.out, 'report.json'), JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(path.join(values.out, 'report.csv'), toCsv(result.rows));
+  fs.writeFileSync(path.join(values.out, 'report.html'), toHtml(report));
+
+  console.log(`Walls: ${report.walls.length > 0 ? report.walls.join(', ') : 'none'}`);
+  if (report.blockedStage) {
+    console.log(`Stopped: stage ${report.blockedStage} takes longer than ${settings.capHours}h`);
+  }
+  console.log(`Report written to ${values.out}/ (report.json, report.csv, report.html)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+}
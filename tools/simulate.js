@@ -0,0 +1,106 @@
+/**
+ * Battle Simulator - Run the horde battle from the command line
+ *
+ * Fights the starting party at a stage for some minutes of game time with
+ * the real combat code (src/scripts/simulation.js) and prints what happened:
+ * kills, deaths (party wipes), damage per second and gold (kill gold plus
+ * idle income).
+ *
+ * Usage: npm run simulate -- [options]
+ *   --minutes N   Game time to simulate (default 10)
+ *   --stage N     Stage to fight on (default 1)
+ *   --level N     Level of every hero (default 1)
+ *   --seed N      RNG seed - the same seed gives the same result (default random)
+ *   --json        Print the result as JSON
+ *   --verbose     Keep the battle's console logging
+ */
+
+import { parseArgs } from 'util';
+import { formatNumber } from '../src/scripts/bigNumber.js';
+import { SeededRandom } from '../src/scripts/random.js';
+import { createSimulationParty, simulateBattle } from '../src/scripts/simulation.js';
+
+const USAGE = 'Usage: npm run simulate -- [--minutes 10] [--stage 1] [--level 1] [--seed N] [--json] [--verbose]';
+
+/**
+ * Read a whole-number option
+ *
+ * @param {string|undefined} value - Raw option value
+ * @param {string} name - Option name (for the error)
+ * @param {number} min - Smallest allowed value
+ * @returns {number} Parsed value
+ */
+function parseWholeNumber(value, name, min) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`--${name} must be a whole number of at least ${min}`);
+  }
+  return number;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      minutes: { type: 'string', default: '10' },
+      stage: { type: 'string', default: '1' },
+      level: { type: 'string', default: '1' },
+      seed: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const minutes = parseWholeNumber(values.minutes, 'minutes', 1);
+  const stage = parseWholeNumber(values.stage, 'stage', 1);
+  const level = parseWholeNumber(values.level, 'level', 1);
+  const seed = values.seed !== undefined
+    ? parseWholeNumber(values.seed, 'seed', 0)
+    : SeededRandom.createSeed();
+
+  // The battle logs to the console as it goes - keep the report readable
+  const log = console.log;
+  if (!values.verbose) {
+    console.log = () => {};
+  }
+  const result = simulateBattle(
+    createSimulationParty(level),
+    stage,
+    minutes * 60 * 1000,
+    new SeededRandom(seed)
+  );
+  console.log = log;
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      minutes: minutes,
+      stage: stage,
+      heroLevel: level,
+      seed: seed,
+      kills: result.kills,
+      deaths: result.deaths,
+      dps: result.dps.floor().toJSON(),
+      gold: result.gold.toJSON()
+    }, null, 2));
+    return;
+  }
+
+  console.log(`Stage ${stage}, level ${level} heroes, ${minutes} min (seed ${seed})`);
+  console.log(`  Kills:  ${result.kills} (${result.killsPerSecond.toFixed(2)}/s)`);
+  console.log(`  Deaths: ${result.deaths} party wipes`);
+  console.log(`  DPS:    ${formatNumber(result.dps)}`);
+  console.log(`  Gold:   ${formatNumber(result.gold)}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+}